@@ -140,7 +140,13 @@ function formatItem(item) {
     currentStatus: item.currentStatus,
     nextStatus: item.nextStatus,
     detailUrl: item.detailUrl,
-    scheduleUrl: item.scheduleUrl
+    scheduleUrl: item.scheduleUrl,
+    ...(item.details && {
+      rapporteur: item.details.rapporteur,
+      technicalBody: item.details.technicalBody,
+      scope: item.details.scope,
+      keywords: item.details.keywords,
+    }),
   };
 }
 
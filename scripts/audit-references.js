@@ -0,0 +1,222 @@
+/**
+ * Outdated-Reference Audit
+ *
+ * Walks references.json and esi_overview.json and reports normative references
+ * that need attention before an ESI plenary:
+ *   - ETSI specs cited in an edition that has been superseded, or that were withdrawn
+ *   - ETSI specs cited while still in Drafting Stage
+ *   - RFCs that have been obsoleted by a newer RFC
+ *   - Internet-Drafts that have expired, been revised or been published as an RFC
+ *
+ * Writes downloads/audit.md (for humans) and downloads/audit.json (for tooling).
+ *
+ * Usage: node audit-references.js [--etsi-only]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDocId } from '../src/reference-parser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = path.join(__dirname, '../downloads');
+
+// CLI flags
+const args = process.argv.slice(2);
+const ETSI_ONLY = args.includes('--etsi-only');
+
+// Report sections, in output order
+const CATEGORIES = {
+  superseded: 'Superseded ETSI editions',
+  withdrawn: 'Withdrawn ETSI specifications',
+  drafting: 'ETSI specifications in Drafting Stage',
+  obsoletedRfc: 'Obsoleted RFCs',
+  expiredDraft: 'Expired or replaced Internet-Drafts',
+};
+
+async function audit() {
+  console.log('🔍 EUDI Nexus - Outdated Reference Audit');
+  console.log('========================================\n');
+
+  const references = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'references.json'), 'utf-8'));
+  const workProgram = await loadWorkProgram();
+  const { nodes, edges } = references.graph;
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+
+  // Audited documents: everything that was parsed (has a file), ETSI only with --etsi-only
+  const audited = nodes.filter(n => n.path && (!ETSI_ONLY || n.source === 'etsi'));
+  const auditedIds = new Set(audited.map(n => n.id));
+  console.log(`Auditing normative references of ${audited.length} documents`);
+  console.log(workProgram.size > 0
+    ? `Loaded ${workProgram.size} ETSI work items\n`
+    : 'Note: Could not load esi_overview.json - withdrawn and Drafting Stage checks skipped\n');
+
+  const problems = [];
+  const report = (category, edge, detail, attrs = {}) => {
+    problems.push({ category, document: edge.from, reference: edge.to, detail, ...attrs });
+  };
+
+  for (const edge of edges) {
+    if (edge.type !== 'normative' || !auditedIds.has(edge.from)) continue;
+    const target = nodeById.get(edge.to);
+
+    if (edge.source === 'etsi') {
+      if (edge.outdated) {
+        report('superseded', edge, `cites V${edge.citedVersion}, latest is V${edge.latestVersion}`, {
+          citedVersion: edge.citedVersion,
+          latestVersion: edge.latestVersion,
+        });
+      }
+
+      const workItem = workProgram.get(parseDocId(edge.to).spec);
+      if (workItem && isWithdrawn(workItem)) {
+        report('withdrawn', edge, `${workItem.currentStatus?.status || workItem.stage} (${workItem.currentStatus?.date || 'date unknown'})`, {
+          status: workItem.currentStatus?.status || workItem.stage,
+        });
+      } else if (workItem && isDrafting(workItem) && citesDraftedEdition(edge, workItem, nodes)) {
+        const next = workItem.nextStatus ? `, next: ${workItem.nextStatus.status} (${workItem.nextStatus.date})` : '';
+        report('drafting', edge, `${workItem.stage}${next}`, {
+          status: workItem.currentStatus?.status || workItem.stage,
+          ...(workItem.nextStatus && { nextStatus: workItem.nextStatus }),
+        });
+      }
+    }
+
+    if (edge.source === 'ietf' && /^draft-/.test(edge.to)) {
+      const problem = draftProblem(edge, target);
+      if (problem) report('expiredDraft', edge, problem.detail, problem.attrs);
+    }
+  }
+
+  // Obsoleted RFCs: extract-references.js flags them per document, including RFCs outside
+  // the EUDI list that have no edge in EUDI mode; edges cover RFCs citing obsoleted RFCs
+  for (const node of audited) {
+    const obsoleted = new Set(node.citesObsoletedRfcs || []);
+    for (const edge of edges) {
+      if (edge.from === node.id && edge.type === 'normative' && nodeById.get(edge.to)?.obsoletedBy) {
+        obsoleted.add(edge.to);
+      }
+    }
+    for (const rfc of obsoleted) {
+      const obsoletedBy = nodeById.get(rfc)?.obsoletedBy || [];
+      report('obsoletedRfc', { from: node.id, to: rfc }, `obsoleted by ${obsoletedBy.join(', ')}`, { obsoletedBy });
+    }
+  }
+
+  problems.sort((a, b) => a.document.localeCompare(b.document) || a.reference.localeCompare(b.reference));
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    referencesGeneratedAt: (await fs.stat(path.join(OUTPUT_PATH, 'references.json'))).mtime.toISOString(),
+    summary: {
+      documentsAudited: audited.length,
+      documentsWithProblems: new Set(problems.map(p => p.document)).size,
+      problems: problems.length,
+      byCategory: Object.fromEntries(Object.keys(CATEGORIES).map(c => [c, problems.filter(p => p.category === c).length])),
+    },
+    problems,
+  };
+
+  await fs.writeFile(path.join(OUTPUT_PATH, 'audit.json'), JSON.stringify(result, null, 2));
+  await fs.writeFile(path.join(OUTPUT_PATH, 'audit.md'), generateMarkdown(result));
+
+  for (const [category, label] of Object.entries(CATEGORIES)) {
+    console.log(`${result.summary.byCategory[category] > 0 ? '⚠️ ' : '✅'} ${label}: ${result.summary.byCategory[category]}`);
+  }
+  console.log(`\n${problems.length} problems in ${result.summary.documentsWithProblems} of ${audited.length} documents`);
+  console.log('\nOutput files:');
+  console.log('   - audit.md (report)');
+  console.log('   - audit.json (machine-readable)');
+}
+
+// ETSI work items by ETSI number (the latest work item of each document)
+async function loadWorkProgram() {
+  const workProgram = new Map();
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'esi_overview.json'), 'utf-8'));
+    for (const item of [...(data.activeWorkItems || []), ...(data.publishedDocuments || [])]) {
+      if (item.etsiNumber) workProgram.set(item.etsiNumber, item);
+    }
+  } catch (e) {
+    // Not scraped yet
+  }
+  return workProgram;
+}
+
+function isWithdrawn(workItem) {
+  return /withdrawn/i.test(`${workItem.stage} ${workItem.currentStatus?.status || ''}`);
+}
+
+function isDrafting(workItem) {
+  return /Drafting/i.test(workItem.stage || '');
+}
+
+// A spec being revised is only a problem when the citation points at the edition still being
+// drafted, or is undated while no edition has been published yet (a first edition with no
+// downloaded PDF)
+function citesDraftedEdition(edge, workItem, nodes) {
+  const versionMatch = workItem.reference?.match(/v(\d)(\d)(\d)$/);
+  const draftedVersion = versionMatch ? versionMatch.slice(1).join('.') : null;
+  if (draftedVersion && edge.citedVersion === draftedVersion) return true;
+  if (edge.citedVersion !== 'latest') return false;
+
+  const spec = parseDocId(edge.to).spec;
+  const published = nodes.some(n => n.source === 'etsi' && n.spec === spec && n.path && !n.isDraft);
+  return draftedVersion === '1.1.1' && !published;
+}
+
+// Why a cited Internet-Draft is a problem, if it is: published as an RFC, an older revision
+// than the latest one, or the latest revision has expired
+function draftProblem(edge, target) {
+  if (edge.replacedBy) {
+    return { detail: `published as ${edge.replacedBy}`, attrs: { replacedBy: edge.replacedBy } };
+  }
+  if (edge.outdated && edge.latestVersion) {
+    return {
+      detail: `cites -${edge.citedVersion}, latest is -${edge.latestVersion}`,
+      attrs: { citedVersion: edge.citedVersion, latestVersion: edge.latestVersion },
+    };
+  }
+  if (target?.expires && new Date(target.expires) < new Date()) {
+    return { detail: `expired on ${target.expires.slice(0, 10)}`, attrs: { expires: target.expires } };
+  }
+  return null;
+}
+
+function generateMarkdown(result) {
+  const { summary, problems } = result;
+  let md = `# Outdated Reference Audit
+
+> Generated: ${new Date(result.generatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}
+
+Normative references of ${summary.documentsAudited} documents. ${summary.problems} problems found in ${summary.documentsWithProblems} documents.
+
+| Check | Problems |
+|-------|----------|
+`;
+
+  for (const [category, label] of Object.entries(CATEGORIES)) {
+    md += `| ${label} | ${summary.byCategory[category]} |\n`;
+  }
+
+  for (const [category, label] of Object.entries(CATEGORIES)) {
+    const items = problems.filter(p => p.category === category);
+    md += `\n## ${label}\n\n`;
+    if (items.length === 0) {
+      md += 'None.\n';
+      continue;
+    }
+    md += '| Document | Reference | Details |\n|----------|-----------|---------|\n';
+    for (const item of items) {
+      md += `| ${escapeMarkdown(item.document)} | ${escapeMarkdown(item.reference)} | ${escapeMarkdown(item.detail)} |\n`;
+    }
+  }
+
+  return md;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+audit().catch(console.error);
@@ -0,0 +1,231 @@
+/**
+ * ETSI Docbox Draft Crawler
+ *
+ * Lists the ESI docbox folder tree (drafts, CRs, meeting contributions) with file
+ * sizes and modification dates into downloads/docbox.json, and downloads the latest
+ * draft of every active EUDI-relevant work item into downloads/specs/drafts. Drafts
+ * that have not changed since the previous crawl are not downloaded again: the downloaded
+ * drafts are listed in specs/drafts/index.json, next to the files, so both are cached together.
+ *
+ * Usage: node crawl-docbox.js [--root <docbox path>] [--max-depth <n>] [--all] [--list-only]
+ *   --all        drafts of all active work items, not only EUDI-relevant ones
+ *   --list-only  only list the folder tree, download nothing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { ETSIClient, AuthError, RateLimitError } from '../src/etsi-client.js';
+import { crawlDocbox } from '../src/docbox-crawler.js';
+import { isEudiEtsiSpec } from '../src/eudi-specs.js';
+
+// Load .env from project root
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const OUTPUT_PATH = path.join(__dirname, '../downloads');
+const DRAFTS_PATH = path.join(OUTPUT_PATH, 'specs/drafts');
+const INDEX_PATH = path.join(OUTPUT_PATH, 'docbox.json');
+const DRAFTS_INDEX_PATH = path.join(DRAFTS_PATH, 'index.json');
+
+// CLI flags
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => args.includes(name) ? args[args.indexOf(name) + 1] : fallback;
+const ROOT = argValue('--root', '/ESI/ESI/');
+const MAX_DEPTH = parseInt(argValue('--max-depth', '6'), 10);
+const ALL_SPECS = args.includes('--all');
+const LIST_ONLY = args.includes('--list-only');
+
+// Word drafts only: they are read by the draft source (with --include-drafts), while a PDF
+// named like ESI-0019472-1v131v005.pdf would be taken for a published deliverable
+const DRAFT_EXTENSIONS = /\.docx?$/i;
+
+async function crawl() {
+  console.log('🗂️  EUDI Nexus - ETSI Docbox Crawler');
+  console.log('===================================\n');
+
+  const client = new ETSIClient();
+  console.log('🔐 Logging in...');
+  try {
+    await client.login(process.env.ETSI_USERNAME, process.env.ETSI_PASSWORD);
+  } catch (error) {
+    console.error(`❌ Login failed: ${error.message}`);
+    process.exit(1);
+  }
+  console.log('✅ Login successful!\n');
+
+  console.log(`📂 Listing ${ROOT} (max depth ${MAX_DEPTH})...`);
+  const { files, folders, failed } = await crawlDocbox(client, ROOT, { maxDepth: MAX_DEPTH });
+  const byCategory = {};
+  for (const file of files) {
+    byCategory[file.category] = (byCategory[file.category] || 0) + 1;
+  }
+  console.log(`  → ${files.length} files in ${folders.length} folders`, byCategory);
+  if (failed.length > 0) {
+    console.log(`  ⚠️  ${failed.length} folders could not be listed`);
+  }
+
+  // Downloads of the previous crawl, to skip unchanged drafts
+  let previousDrafts = {};
+  try {
+    previousDrafts = JSON.parse(await fs.readFile(DRAFTS_INDEX_PATH, 'utf-8')).drafts || {};
+  } catch (e) {
+    // First crawl
+  }
+
+  const drafts = LIST_ONLY ? previousDrafts : await downloadDrafts(client, files, previousDrafts);
+  if (!LIST_ONLY) {
+    await removeStaleDrafts(drafts);
+    await fs.writeFile(DRAFTS_INDEX_PATH, JSON.stringify({ updatedAt: new Date().toISOString(), drafts }, null, 2));
+  }
+
+  const index = {
+    generatedAt: new Date().toISOString(),
+    root: ROOT,
+    statistics: {
+      folders: folders.length,
+      files: files.length,
+      byCategory,
+      failedFolders: failed.length,
+    },
+    failed,
+    files,
+  };
+  await fs.writeFile(INDEX_PATH, JSON.stringify(index, null, 2));
+  console.log(`\n💾 Saved docbox index to ${INDEX_PATH}`);
+}
+
+// Download the latest draft of each active work item when it is new or changed
+async function downloadDrafts(client, files, previousDrafts) {
+  const workItems = await loadActiveWorkItems();
+  console.log(`\n📝 Looking for drafts of ${workItems.length} active ${ALL_SPECS ? '' : 'EUDI-relevant '}work items...`);
+  await fs.mkdir(DRAFTS_PATH, { recursive: true });
+
+  const drafts = { ...previousDrafts };
+  const stats = { downloaded: 0, unchanged: 0, notFound: 0, failed: 0 };
+
+  for (const item of workItems) {
+    const draft = latestDraft(item, files);
+    if (!draft) {
+      stats.notFound++;
+      continue;
+    }
+
+    const previous = previousDrafts[item.etsiNumber];
+    const localPath = path.join(DRAFTS_PATH, safeFilename(draft.name));
+    if (previous && previous.path === draft.path && previous.size === draft.size &&
+        previous.modified === draft.modified && await fileExists(localPath)) {
+      stats.unchanged++;
+      continue;
+    }
+
+    try {
+      const response = await client.downloadDocboxFile(draft.path);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await fs.writeFile(localPath, Buffer.from(await response.arrayBuffer()));
+
+      // The previous draft of this work item is superseded; keep only the latest one
+      if (previous?.file && previous.file !== path.basename(localPath)) {
+        await fs.rm(path.join(DRAFTS_PATH, previous.file), { force: true });
+      }
+
+      drafts[item.etsiNumber] = {
+        workItemId: item.workItemId,
+        reference: item.reference,
+        path: draft.path,
+        file: path.basename(localPath),
+        size: draft.size,
+        modified: draft.modified,
+        downloadedAt: new Date().toISOString(),
+      };
+      stats.downloaded++;
+      console.log(`  ✅ ${item.etsiNumber}: ${draft.name}${previous ? ' (changed)' : ''}`);
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      stats.failed++;
+      console.log(`  ❌ ${item.etsiNumber}: ${error.message}`);
+      // Left for the next crawl; wait before asking the docbox for anything else
+      if (error instanceof RateLimitError) {
+        await sleep((error.retryAfter ?? 60) * 1000);
+      }
+    }
+
+    // Rate limiting
+    await sleep(500);
+  }
+
+  console.log(`\n📊 Drafts: ${stats.downloaded} downloaded, ${stats.unchanged} unchanged, ${stats.notFound} not on docbox, ${stats.failed} failed`);
+  return drafts;
+}
+
+// Older drafts of the work items in the index still lying in the drafts folder (superseded
+// while the index was lost), which the build would otherwise read as extra draft documents.
+// Files of other work items, e.g. drafts placed there by hand, are left alone
+async function removeStaleDrafts(drafts) {
+  const files = await fs.readdir(DRAFTS_PATH);
+  for (const draft of Object.values(drafts)) {
+    const pattern = draftNamePattern(draft.reference);
+    for (const file of files.filter(f => f !== draft.file && DRAFT_EXTENSIONS.test(f) && pattern.test(f))) {
+      await fs.rm(path.join(DRAFTS_PATH, file), { force: true });
+      console.log(`  🗑️  Removed superseded draft ${file}`);
+    }
+  }
+}
+
+// Active work items from esi_overview.json, limited to EUDI-relevant specs unless --all
+async function loadActiveWorkItems() {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'esi_overview.json'), 'utf-8'));
+    return (data.activeWorkItems || []).filter(item =>
+      item.etsiNumber && item.reference && (ALL_SPECS || isEudiEtsiSpec(item.etsiNumber))
+    );
+  } catch (e) {
+    console.log('Note: Could not load esi_overview.json - run npm run scrape first');
+    return [];
+  }
+}
+
+// Draft files are named after the work item reference: RTS/ESI-0019472-1v131 is drafted in
+// "ESI-0019472-1v131v005.docx". Files of the drafted edition win over other files of the
+// same document; among those the most recently modified one is the latest draft
+function latestDraft(item, files) {
+  const code = item.reference.split('/').pop();
+  const pattern = draftNamePattern(item.reference);
+
+  const candidates = files.filter(f => f.category === 'draft' && DRAFT_EXTENSIONS.test(f.name) && pattern.test(f.name));
+  const edition = candidates.filter(f => f.name.toLowerCase().includes(code.toLowerCase()));
+  return (edition.length > 0 ? edition : candidates)
+    .sort((a, b) => (b.modified || '').localeCompare(a.modified || '') || b.name.localeCompare(a.name))[0] || null;
+}
+
+// File names of any draft of the document: "ESI-0019472-1" must not match "ESI-0019472-10",
+// nor "ESI-0019472" match "ESI-0019472-1"
+function draftNamePattern(reference) {
+  const base = reference.split('/').pop().replace(/v\d+$/i, '');
+  return new RegExp(`${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!-?\\d)`, 'i');
+}
+
+function safeFilename(name) {
+  return name.replace(/[<>:"/\\|?*]/g, '_');
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+crawl().catch(error => {
+  console.error(error instanceof AuthError ? `❌ Session lost: ${error.message}` : error);
+  process.exit(1);
+});
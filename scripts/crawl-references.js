@@ -6,9 +6,9 @@
  * referenced by ETSI documents and their dependencies until no new specs are found.
  * 
  * Flow:
- * 1. Extract references from all currently downloaded specs (ETSI, OIDF, IETF)
+ * 1. Extract references from all currently downloaded specs (ETSI, OIDF, IETF, W3C)
  * 2. Identify external specs that are referenced but not yet downloaded
- * 3. Download the missing specs (OIDF HTML, IETF RFCs as text)
+ * 3. Download the missing specs (OIDF HTML, IETF RFCs and Internet-Drafts as text, W3C TR pages)
  * 4. Repeat until no new specs are discovered
  * 5. Generate final reference graph
  */
@@ -17,12 +17,17 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import { w3cTrUrl } from '../src/w3c-specs.js';
+import { parseDraftName } from '../src/ietf-drafts.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DOWNLOADS_PATH = path.join(__dirname, '../downloads');
 const SPECS_PATH = path.join(DOWNLOADS_PATH, 'specs');
 const OIDF_PATH = path.join(SPECS_PATH, 'OIDF');
 const IETF_PATH = path.join(SPECS_PATH, 'IETF');
+const W3C_PATH = path.join(SPECS_PATH, 'W3C');
+const DRAFT_STATUS_PATH = path.join(IETF_PATH, 'drafts.json');
+const DATATRACKER_API = 'https://datatracker.ietf.org/api/v1/doc';
 
 // OIDF spec URL mapping - maps spec IDs to their URLs
 const OIDF_SPEC_URLS = {
@@ -35,8 +40,6 @@ const OIDF_SPEC_URLS = {
   'OpenID Connect Discovery': 'https://openid.net/specs/openid-connect-discovery-1_0.html',
   'OpenID Connect Dynamic Client Registration': 'https://openid.net/specs/openid-connect-registration-1_0.html',
   'OpenID Federation': 'https://openid.net/specs/openid-federation-1_0.html',
-  'SD-JWT': 'https://www.ietf.org/archive/id/draft-ietf-oauth-selective-disclosure-jwt-13.html',
-  'SD-JWT VC': 'https://www.ietf.org/archive/id/draft-ietf-oauth-sd-jwt-vc-05.html',
   'OAuth 2.0 DPoP': 'https://datatracker.ietf.org/doc/html/rfc9449',
   'OAuth 2.0 PAR': 'https://datatracker.ietf.org/doc/html/rfc9126',
   'OAuth 2.0 RAR': 'https://datatracker.ietf.org/doc/html/rfc9396',
@@ -53,8 +56,9 @@ Usage: node crawl-references.js [options]
 Options:
   --depth <n>      Maximum crawl depth (default: 1)
                      1 = Only specs directly referenced by ETSI docs
-                     2 = Also specs referenced by OIDF/IETF specs
+                     2 = Also specs referenced by OIDF/IETF/W3C specs
                      Higher values may download thousands of RFCs
+  --jobs <n>       Parse documents across n worker threads (default: 1)
   --verbose, -v    Show detailed progress
   --help, -h       Show this help
 
@@ -69,6 +73,9 @@ const MAX_DEPTH = args.includes('--depth')
   ? parseInt(args[args.indexOf('--depth') + 1]) 
   : 1;
 const VERBOSE = args.includes('--verbose') || args.includes('-v');
+const JOBS = args.includes('--jobs')
+  ? args[args.indexOf('--jobs') + 1]
+  : null;
 
 async function main() {
   console.log('🔄 EUDI Nexus - Iterative Reference Crawler');
@@ -81,6 +88,7 @@ async function main() {
   // Ensure directories exist
   await fs.mkdir(OIDF_PATH, { recursive: true });
   await fs.mkdir(IETF_PATH, { recursive: true });
+  await fs.mkdir(W3C_PATH, { recursive: true });
 
   let depth = 0;
   let newSpecsFound = true;
@@ -98,29 +106,44 @@ async function main() {
     const refsPath = path.join(DOWNLOADS_PATH, 'references.json');
     const refsData = JSON.parse(await fs.readFile(refsPath, 'utf-8'));
 
-    // Step 3: Find specs that are referenced but not downloaded
-    const missingSpecs = findMissingSpecs(refsData.graph);
+    // Step 3: Refresh the datatracker status of cited Internet-Drafts (latest revision, published RFC)
+    const draftStatus = await updateDraftStatus(refsData.graph);
+
+    // Step 4: Find specs that are referenced but not downloaded
+    const missingSpecs = findMissingSpecs(refsData.graph, draftStatus);
     
-    if (missingSpecs.oidf.length === 0 && missingSpecs.ietf.length === 0) {
+    if (missingSpecs.oidf.length === 0 && missingSpecs.ietf.length === 0 && missingSpecs.drafts.length === 0 && missingSpecs.w3c.length === 0) {
       console.log('\n✅ No new external specs to download. Graph is complete!');
       newSpecsFound = false;
       break;
     }
 
-    console.log(`\n2️⃣  Found ${missingSpecs.oidf.length} OIDF + ${missingSpecs.ietf.length} IETF specs to download`);
+    console.log(`\n2️⃣  Found ${missingSpecs.oidf.length} OIDF + ${missingSpecs.ietf.length} IETF + ${missingSpecs.drafts.length} Internet-Draft + ${missingSpecs.w3c.length} W3C specs to download`);
 
-    // Step 4: Download missing OIDF specs
+    // Step 5: Download missing OIDF specs
     if (missingSpecs.oidf.length > 0) {
       console.log('\n3️⃣  Downloading OIDF specifications...');
       await downloadOidfSpecs(missingSpecs.oidf);
     }
 
-    // Step 5: Download missing IETF RFCs
+    // Step 6: Download missing IETF RFCs
     if (missingSpecs.ietf.length > 0) {
       console.log('\n4️⃣  Downloading IETF RFCs...');
       await downloadIetfRfcs(missingSpecs.ietf);
     }
 
+    // Step 7: Download missing Internet-Drafts
+    if (missingSpecs.drafts.length > 0) {
+      console.log('\n5️⃣  Downloading IETF Internet-Drafts...');
+      await downloadIetfDrafts(missingSpecs.drafts);
+    }
+
+    // Step 8: Download missing W3C specs
+    if (missingSpecs.w3c.length > 0) {
+      console.log('\n6️⃣  Downloading W3C specifications...');
+      await downloadW3cSpecs(missingSpecs.w3c);
+    }
+
     console.log(`\n✅ Depth ${depth} complete`);
   }
 
@@ -142,11 +165,11 @@ async function main() {
   console.log(`  - IETF: ${finalRefs.graph.statistics.nodesBySource.ietf} RFCs`);
   console.log(`  - OIDF: ${finalRefs.graph.statistics.nodesBySource.oidf} specs`);
   console.log(`  - ISO: ${finalRefs.graph.statistics.nodesBySource.iso} docs`);
-  console.log(`  - W3C: ${finalRefs.graph.statistics.nodesBySource.w3c} docs`);
+  console.log(`  - W3C: ${finalRefs.graph.statistics.nodesBySource.w3c} specs`);
 }
 
-function findMissingSpecs(graph) {
-  const missing = { oidf: [], ietf: [] };
+function findMissingSpecs(graph, draftStatus) {
+  const missing = { oidf: [], ietf: [], drafts: [], w3c: [] };
   
   for (const node of graph.nodes) {
     // Check OIDF specs without a path (not downloaded)
@@ -160,6 +183,18 @@ function findMissingSpecs(graph) {
       }
     }
     
+    // Check Internet-Drafts without a path: the cited revision, or the latest one for unversioned citations
+    if (node.source === 'ietf' && !node.path && /^draft-/.test(node.id)) {
+      const { spec, version } = parseDraftName(node.id);
+      const revision = version || draftStatus[spec]?.latestRevision;
+      if (revision) {
+        missing.drafts.push({ id: node.id, name: spec, revision });
+      } else if (VERBOSE) {
+        console.log(`   ⚠️  Unknown latest revision of ${node.id}`);
+      }
+      continue;
+    }
+    
     // Check IETF RFCs without a path
     if (node.source === 'ietf' && !node.path) {
       const rfcMatch = node.id.match(/RFC\s*(\d+)/i);
@@ -169,11 +204,97 @@ function findMissingSpecs(graph) {
         missing.ietf.push({ id: node.id, number: rfcNum });
       }
     }
+    
+    // Check W3C specs without a path - node IDs carry the TR short name
+    if (node.source === 'w3c' && !node.path) {
+      missing.w3c.push({ id: node.id, url: w3cTrUrl(node.id) });
+    }
+  }
+  
+  // Cited drafts that have been published: fetch the RFC that replaced them
+  const downloaded = new Set(graph.nodes.filter(n => n.path).map(n => n.id));
+  for (const [name, status] of Object.entries(draftStatus)) {
+    const cited = graph.nodes.some(n => n.source === 'ietf' && n.spec === name);
+    if (cited && status.rfc && !downloaded.has(status.rfc) && !missing.ietf.some(rfc => rfc.id === status.rfc)) {
+      missing.ietf.push({ id: status.rfc, number: status.rfc.replace(/^RFC\s*/, '') });
+    }
   }
   
   return missing;
 }
 
+// Look up the latest revision of every cited Internet-Draft and whether it has been published
+// as an RFC, and record it in drafts.json for extract-references.js. Drafts are checked once per run
+const checkedDrafts = new Set();
+
+async function updateDraftStatus(graph) {
+  let drafts = {};
+  try {
+    drafts = JSON.parse(await fs.readFile(DRAFT_STATUS_PATH, 'utf-8')).drafts || {};
+  } catch {}
+  
+  const names = [...new Set(graph.nodes
+    .filter(n => n.source === 'ietf' && /^draft-/.test(n.id))
+    .map(n => parseDraftName(n.id).spec))]
+    .filter(name => !checkedDrafts.has(name));
+  if (names.length === 0) {
+    return drafts;
+  }
+  
+  console.log(`\n🔎 Checking datatracker status of ${names.length} Internet-Drafts...`);
+  for (const name of names) {
+    checkedDrafts.add(name);
+    try {
+      drafts[name] = await fetchDraftStatus(name);
+      if (VERBOSE) {
+        const status = drafts[name].rfc ? `published as ${drafts[name].rfc}` : `latest -${drafts[name].latestRevision}`;
+        console.log(`   ${name}: ${status}`);
+      }
+      await sleep(200); // Rate limiting
+    } catch (error) {
+      // Keep the previously recorded status
+      console.log(`   ⚠️  ${name}: ${error.message}`);
+    }
+  }
+  
+  await fs.writeFile(DRAFT_STATUS_PATH, JSON.stringify({
+    updatedAt: new Date().toISOString(),
+    drafts,
+  }, null, 2));
+  
+  return drafts;
+}
+
+async function fetchDraftStatus(name) {
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (compatible; EUDI-Nexus/1.0)',
+    'Accept': 'application/json',
+  };
+  
+  // Same 15s limit as the downloads, so a stalled API call cannot hang the crawl
+  const docResponse = await fetch(`${DATATRACKER_API}/document/${name}/?format=json`, { headers, signal: AbortSignal.timeout(15000) });
+  if (!docResponse.ok) {
+    throw new Error(`HTTP ${docResponse.status}`);
+  }
+  const doc = await docResponse.json();
+  
+  // Published drafts have a "became_rfc" relationship to their RFC
+  const relatedResponse = await fetch(`${DATATRACKER_API}/relateddocument/?format=json&source__name=${name}&relationship=became_rfc`, { headers, signal: AbortSignal.timeout(15000) });
+  if (!relatedResponse.ok) {
+    throw new Error(`HTTP ${relatedResponse.status}`);
+  }
+  const related = await relatedResponse.json();
+  const rfcMatch = related.objects?.[0]?.target?.match(/rfc(\d+)/);
+  
+  return {
+    latestRevision: doc.rev,
+    // Expiry of the latest revision - drafts expire 185 days after posting unless revised
+    expires: doc.expires || null,
+    rfc: rfcMatch ? `RFC ${rfcMatch[1]}` : null,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
 function findOidfUrl(specId) {
   // Direct match
   if (OIDF_SPEC_URLS[specId]) {
@@ -201,8 +322,6 @@ function findOidfUrl(specId) {
   if (/OpenID\s*Connect\s*Discovery/i.test(specId)) return OIDF_SPEC_URLS['OpenID Connect Discovery'];
   if (/OpenID\s*Connect/i.test(specId)) return OIDF_SPEC_URLS['OpenID Connect'];
   if (/OpenID\s*Federation/i.test(specId)) return OIDF_SPEC_URLS['OpenID Federation'];
-  if (/SD-JWT\s*VC/i.test(specId)) return OIDF_SPEC_URLS['SD-JWT VC'];
-  if (/SD-JWT/i.test(specId)) return OIDF_SPEC_URLS['SD-JWT'];
   
   return null;
 }
@@ -227,6 +346,7 @@ async function downloadOidfSpecs(specs) {
           'User-Agent': 'Mozilla/5.0 (compatible; EUDI-Nexus/1.0)',
           'Accept': 'text/html,application/xhtml+xml,*/*',
         },
+        signal: AbortSignal.timeout(15000),
       });
       
       if (!response.ok) {
@@ -305,9 +425,93 @@ async function downloadIetfRfcs(rfcs) {
   }
 }
 
+async function downloadIetfDrafts(drafts) {
+  for (const draft of drafts) {
+    const filename = `${draft.name}-${draft.revision}.txt`;
+    const filepath = path.join(IETF_PATH, filename);
+    
+    // Check if already downloaded
+    try {
+      await fs.access(filepath);
+      console.log(`   ⏭️  ${draft.name}-${draft.revision} - already exists`);
+      continue;
+    } catch {}
+    
+    process.stdout.write(`   📄 ${draft.name}-${draft.revision}...`);
+    
+    try {
+      // The IETF archive keeps the text of every revision
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 15000);
+      const response = await fetch(`https://www.ietf.org/archive/id/${filename}`, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; EUDI-Nexus/1.0)',
+        },
+        signal: controller.signal,
+      });
+      clearTimeout(timeout);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const text = await response.text();
+      await fs.writeFile(filepath, text, 'utf-8');
+      console.log(` ✅ (${(text.length / 1024).toFixed(1)} KB)`);
+      
+      await sleep(200); // Rate limiting
+    } catch (error) {
+      console.log(` ❌ ${error.message}`);
+    }
+  }
+}
+
+async function downloadW3cSpecs(specs) {
+  for (const spec of specs) {
+    const filename = `${spec.id.replace(/^W3C\s+/, '')}.html`;
+    const filepath = path.join(W3C_PATH, filename);
+    
+    // Check if already downloaded
+    try {
+      await fs.access(filepath);
+      console.log(`   ⏭️  ${spec.id} - already exists`);
+      continue;
+    } catch {}
+    
+    process.stdout.write(`   📄 ${spec.id}...`);
+    
+    try {
+      const response = await fetch(spec.url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; EUDI-Nexus/1.0)',
+          'Accept': 'text/html,application/xhtml+xml,*/*',
+        },
+        signal: AbortSignal.timeout(15000),
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const html = await response.text();
+      await fs.writeFile(filepath, html, 'utf-8');
+      console.log(` ✅ (${(html.length / 1024).toFixed(1)} KB)`);
+      
+      await sleep(300); // Rate limiting
+    } catch (error) {
+      console.log(` ❌ ${error.message}`);
+    }
+  }
+}
+
 function runExtractReferences() {
   return new Promise((resolve, reject) => {
-    const child = spawn('node', ['extract-references.js', '--include-drafts'], {
+    const extractArgs = ['extract-references.js', '--include-drafts'];
+    if (JOBS) {
+      extractArgs.push('--jobs', JOBS);
+    }
+    
+    const child = spawn('node', extractArgs, {
       cwd: __dirname,
       stdio: VERBOSE ? 'inherit' : 'pipe',
     });
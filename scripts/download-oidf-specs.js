@@ -44,20 +44,6 @@ const OIDF_SPECS = [
     url: 'https://openid.net/specs/openid-connect-registration-1_0.html',
     version: '1.0',
   },
-  {
-    id: 'SD-JWT',
-    name: 'Selective Disclosure for JWTs',
-    url: 'https://www.ietf.org/archive/id/draft-ietf-oauth-selective-disclosure-jwt-13.html',
-    version: 'draft-13',
-    source: 'ietf-draft', // This is an IETF draft, but often referenced as OIDF ecosystem
-  },
-  {
-    id: 'SD-JWT VC',
-    name: 'SD-JWT-based Verifiable Credentials',
-    url: 'https://www.ietf.org/archive/id/draft-ietf-oauth-sd-jwt-vc-05.html',
-    version: 'draft-05',
-    source: 'ietf-draft',
-  },
   {
     id: 'OpenID Federation',
     name: 'OpenID Federation',
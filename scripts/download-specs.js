@@ -1,8 +1,14 @@
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
-import { ETSIClient } from '../src/etsi-client.js';
+import { ETSIClient, AuthError, RateLimitError, PortalChangedError } from '../src/etsi-client.js';
+import { unpackArchive } from '../src/etsi-archives.js';
+import { SCHEMA_INDEX_VERSION, indexSchema } from '../src/schema-attachments.js';
 import dotenv from 'dotenv';
 
 // Load .env from project root
@@ -12,6 +18,18 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 const DOWNLOAD_PATH = '../downloads/specs';
 const BASE_URL = 'https://portal.etsi.org';
 
+// Per spec: URL, ETag/Last-Modified, SHA-256, size, edition and download date of the
+// downloaded file. Lets reruns skip unchanged specs and resume interrupted downloads
+const MANIFEST_PATH = path.join(DOWNLOAD_PATH, 'manifest.json');
+const PARTIAL_PATH = path.join(DOWNLOAD_PATH, '.partial');
+
+// Attachments of ZIP deliverables (ASN.1 modules, schemas, ...), one folder per archive
+const ATTACHMENTS_PATH = path.join(DOWNLOAD_PATH, '../attachments');
+
+// How often a rate-limited spec is retried, and the wait when the portal gives no Retry-After
+const MAX_RATE_LIMIT_RETRIES = 3;
+const DEFAULT_RETRY_AFTER = 60;
+
 async function downloadLatestSpecs() {
   console.log('📥 ETSI Specification Downloader');
   console.log('================================\n');
@@ -21,6 +39,7 @@ async function downloadLatestSpecs() {
   const limitArg = args.find(a => a.startsWith('--limit='));
   const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
   const publishedOnly = args.includes('--published-only');
+  const force = args.includes('--force');
 
   // Load work items
   const workItems = JSON.parse(await fs.readFile('../downloads/esi_overview.json', 'utf-8'));
@@ -35,13 +54,13 @@ async function downloadLatestSpecs() {
   const client = new ETSIClient();
   
   console.log('🔐 Logging in...');
-  const loggedIn = await client.login(
-    process.env.ETSI_USERNAME,
-    process.env.ETSI_PASSWORD
-  );
-
-  if (!loggedIn) {
-    console.error('❌ Login failed');
+  try {
+    await client.login(process.env.ETSI_USERNAME, process.env.ETSI_PASSWORD);
+  } catch (error) {
+    console.error(`❌ Login failed: ${error.message}`);
+    if (error instanceof PortalChangedError) {
+      console.error('   The ETSI portal login changed - src/etsi-client.js needs updating');
+    }
     process.exit(1);
   }
   console.log('✅ Login successful!\n');
@@ -49,9 +68,12 @@ async function downloadLatestSpecs() {
   // Create download directory
   await fs.mkdir(DOWNLOAD_PATH, { recursive: true });
 
+  const manifest = await loadManifest();
+
   // Track downloads
   const results = {
     success: [],
+    unchanged: [],
     failed: [],
     noDownload: []
   };
@@ -71,6 +93,8 @@ async function downloadLatestSpecs() {
   const itemsToProcess = limit ? uniqueItems.slice(0, limit) : uniqueItems;
   console.log(`📦 Processing ${itemsToProcess.length} specifications${limit ? ` (limited to ${limit})` : ''}...\n`);
 
+  let rateLimitRetries = 0;
+  let aborted = null;
   for (let i = 0; i < itemsToProcess.length; i++) {
     const item = itemsToProcess[i];
     const progress = `[${i + 1}/${uniqueItems.length}]`;
@@ -78,13 +102,26 @@ async function downloadLatestSpecs() {
     console.log(`${progress} ${item.etsiNumber}`);
     
     try {
+      // The edition in the manifest is the one the work program lists: nothing to request
+      const entry = manifest.specs[item.etsiNumber];
+      if (!force && await isUpToDate(entry, item)) {
+        await unpackIfArchive(entry);
+        results.unchanged.push({ etsiNumber: item.etsiNumber, filename: entry.file });
+        console.log(`    ⏭️  Unchanged: ${entry.file}`);
+        continue;
+      }
+      
       const downloadInfo = await fetchDownloadLink(client, item);
       
       if (downloadInfo && downloadInfo.url) {
-        const filename = await downloadFile(client, downloadInfo, item);
-        if (filename) {
-          results.success.push({ etsiNumber: item.etsiNumber, filename, url: downloadInfo.url });
-          console.log(`    ✅ Downloaded: ${filename}`);
+        const download = await downloadFile(client, downloadInfo, item, manifest, { force });
+        if (download?.notModified) {
+          await unpackIfArchive(manifest.specs[item.etsiNumber]);
+          results.unchanged.push({ etsiNumber: item.etsiNumber, filename: download.filename });
+          console.log(`    ⏭️  Not modified: ${download.filename}`);
+        } else if (download) {
+          results.success.push({ etsiNumber: item.etsiNumber, filename: download.filename, url: downloadInfo.url });
+          console.log(`    ✅ Downloaded: ${download.filename}${download.resumed ? ' (resumed)' : ''}`);
         } else {
           results.failed.push({ etsiNumber: item.etsiNumber, reason: 'Download failed' });
           console.log(`    ❌ Download failed`);
@@ -98,9 +135,24 @@ async function downloadLatestSpecs() {
       await sleep(500);
       
     } catch (error) {
+      if (error instanceof RateLimitError && rateLimitRetries < MAX_RATE_LIMIT_RETRIES) {
+        rateLimitRetries++;
+        const wait = error.retryAfter ?? DEFAULT_RETRY_AFTER;
+        console.log(`    ⏳ Rate limited, retrying in ${wait}s (${rateLimitRetries}/${MAX_RATE_LIMIT_RETRIES})`);
+        await sleep(wait * 1000);
+        i--;
+        continue;
+      }
       results.failed.push({ etsiNumber: item.etsiNumber, reason: error.message });
       console.log(`    ❌ Error: ${error.message}`);
+
+      // Re-login failed or the portal changed: every further request would fail the same way
+      if (error instanceof AuthError || error instanceof PortalChangedError) {
+        aborted = error;
+        break;
+      }
     }
+    rateLimitRetries = 0;
   }
 
   // Save results
@@ -109,11 +161,20 @@ async function downloadLatestSpecs() {
     JSON.stringify(results, null, 2)
   );
 
+  await saveManifest(manifest);
+
   console.log('\n📊 Download Summary:');
   console.log(`   ✅ Success: ${results.success.length}`);
+  console.log(`   ⏭️  Unchanged: ${results.unchanged.length}`);
   console.log(`   ❌ Failed: ${results.failed.length}`);
   console.log(`   ⚠️ No download available: ${results.noDownload.length}`);
+  console.log('   (drafts of active work items are downloaded by npm run docbox)');
   console.log(`\n💾 Results saved to ${DOWNLOAD_PATH}/_download_results.json`);
+
+  if (aborted) {
+    console.error(`\n❌ Stopped early (${aborted.name}): ${aborted.message}`);
+    process.exit(1);
+  }
 }
 
 async function fetchDownloadLink(client, item) {
@@ -121,9 +182,7 @@ async function fetchDownloadLink(client, item) {
     return null;
   }
 
-  const response = await client.fetch(item.detailUrl, {
-    headers: client.getDefaultHeaders()
-  });
+  const response = await client.fetchWithAuth(item.detailUrl);
 
   if (!response.ok) {
     throw new Error(`HTTP ${response.status}`);
@@ -171,35 +230,61 @@ async function fetchDownloadLink(client, item) {
     });
   }
 
-  // Check for docbox.etsi.org draft links (Word docs or PDFs)
-  if (!downloadUrl) {
-    $('a[href*="docbox.etsi.org"]').each((_, el) => {
-      const href = $(el).attr('href')?.trim();
-      if (href && (href.includes('.docx') || href.includes('.doc') || href.includes('.pdf'))) {
-        downloadUrl = href;
-        downloadType = href.includes('.pdf') ? 'draft-pdf' : 'draft-docx';
-      }
-    });
-  }
+  // Drafts of active work items come from the docbox crawler (crawl-docbox.js)
 
   return downloadUrl ? { url: downloadUrl, type: downloadType } : null;
 }
 
-async function downloadFile(client, downloadInfo, item) {
+async function downloadFile(client, downloadInfo, item, manifest, { force = false } = {}) {
+  const entry = manifest.specs[item.etsiNumber];
+  const partPath = path.join(PARTIAL_PATH, `${item.etsiNumber.replace(/[^a-zA-Z0-9-_]/g, '_')}.part`);
+  
   try {
     // For ETSI delivery URLs, we can download directly without auth
-    const fetchFn = downloadInfo.url.includes('www.etsi.org/deliver') ? fetch : client.fetch.bind(client);
+    const fetchFn = downloadInfo.url.includes('www.etsi.org/deliver') ? fetch : client.request.bind(client);
     
-    const response = await fetchFn(downloadInfo.url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-        'Accept': 'application/pdf,application/zip,application/octet-stream,*/*'
-      }
-    });
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'Accept': 'application/pdf,application/zip,application/octet-stream,*/*'
+    };
+    
+    // Conditional request: the server answers 304 if the file is unchanged since the last download
+    const previous = !force && entry?.url === downloadInfo.url && await fileExists(path.join(DOWNLOAD_PATH, entry.file)) ? entry : null;
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    
+    // Resume an interrupted download of the same file; If-Range makes the server send the
+    // whole file instead if it changed in the meantime
+    const partial = entry?.partial?.url === downloadInfo.url ? entry.partial : null;
+    const partSize = partial ? await fileSize(partPath) : 0;
+    if (partSize > 0 && (partial.etag || partial.lastModified)) {
+      headers['Range'] = `bytes=${partSize}-`;
+      headers['If-Range'] = partial.etag || partial.lastModified;
+    }
+    
+    let response = await fetchFn(downloadInfo.url, { headers });
+
+    // The part cannot be resumed (416 when it is already complete, or any other failure of the
+    // Range request): drop it and download the whole file once more
+    if (headers['Range'] && !response.ok && response.status !== 304) {
+      console.log(`    ↻ Cannot resume (HTTP ${response.status}), downloading again`);
+      await fs.rm(partPath, { force: true });
+      delete entry.partial;
+      await saveManifest(manifest);
+      delete headers['Range'];
+      delete headers['If-Range'];
+      response = await fetchFn(downloadInfo.url, { headers });
+    }
 
+    if (response.status === 304) {
+      entry.checkedAt = new Date().toISOString();
+      return { notModified: true, filename: entry.file };
+    }
+    
     if (!response.ok) {
       return null;
     }
+    const resumed = response.status === 206;
 
     // Get filename from Content-Disposition header or URL
     let filename = null;
@@ -222,21 +307,33 @@ async function downloadFile(client, downloadInfo, item) {
       // Create filename from ETSI number
       const safeNumber = item.etsiNumber.replace(/[^a-zA-Z0-9-_]/g, '_');
       const ext = downloadInfo.type === 'pdf' ? '.pdf' : 
-                  downloadInfo.type === 'zip' ? '.zip' :
-                  downloadInfo.type === 'draft-docx' ? '.docx' :
-                  downloadInfo.type === 'draft-pdf' ? '.pdf' : '.bin';
+                  downloadInfo.type === 'zip' ? '.zip' : '.bin';
       filename = `${safeNumber}${ext}`;
     }
 
     // Sanitize filename
     filename = filename.replace(/[<>:"/\\|?*]/g, '_');
 
+    // Record the download before streaming it to disk, so an interrupted run can resume it
+    const validators = {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null,
+    };
+    manifest.specs[item.etsiNumber] = { ...entry, partial: { url: downloadInfo.url, ...(resumed ? partial : validators) } };
+    await saveManifest(manifest);
+    
+    await fs.mkdir(PARTIAL_PATH, { recursive: true });
+    const body = typeof response.body.pipe === 'function' ? response.body : Readable.fromWeb(response.body);
+    await pipeline(body, createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }));
+    
     // Download content
-    const buffer = Buffer.from(await response.arrayBuffer());
+    const buffer = await fs.readFile(partPath);
     
     // Skip if too small (likely an error page)
     if (buffer.length < 1000) {
       console.log(`    ⚠️ File too small (${buffer.length} bytes), likely not a valid document`);
+      await fs.rm(partPath, { force: true });
+      manifest.specs[item.etsiNumber] = entry;
       return null;
     }
     
@@ -247,16 +344,125 @@ async function downloadFile(client, downloadInfo, item) {
     await fs.mkdir(targetDir, { recursive: true });
     
     const filePath = path.join(targetDir, filename);
-    await fs.writeFile(filePath, buffer);
-
-    return `${subDir}/${filename} (${formatBytes(buffer.length)})`;
+    await fs.rename(partPath, filePath);
+    
+    const now = new Date().toISOString();
+    manifest.specs[item.etsiNumber] = {
+      url: downloadInfo.url,
+      file: `${subDir}/${filename}`,
+      ...(resumed ? partial : validators),
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      size: buffer.length,
+      version: editionFromFilename(filename),
+      downloadedAt: now,
+      checkedAt: now,
+    };
+    await unpackIfArchive(manifest.specs[item.etsiNumber]);
+    await saveManifest(manifest);
+
+    return { filename: `${subDir}/${filename} (${formatBytes(buffer.length)})`, resumed };
     
   } catch (error) {
+    // Session and rate limit problems are handled for the whole run
+    if (error instanceof AuthError || error instanceof RateLimitError) throw error;
     console.error(`    Download error: ${error.message}`);
     return null;
   }
 }
 
+async function loadManifest() {
+  try {
+    return JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf-8'));
+  } catch (e) {
+    return { specs: {} };
+  }
+}
+
+// Written after every file, through a temporary file so an interruption never leaves it truncated
+async function saveManifest(manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  await fs.mkdir(DOWNLOAD_PATH, { recursive: true });
+  await fs.writeFile(`${MANIFEST_PATH}.tmp`, JSON.stringify(manifest, null, 2));
+  await fs.rename(`${MANIFEST_PATH}.tmp`, MANIFEST_PATH);
+}
+
+// A spec needs no request when the downloaded edition is the one of the current work item
+// (REN/ESI-0019412-1v151 -> 1.5.1) and the file on disk still matches its checksum
+async function isUpToDate(entry, item) {
+  if (!entry?.sha256 || !entry.version) return false;
+  const match = item.reference?.match(/v(\d)(\d)(\d)$/);
+  if (!match || match.slice(1).join('.') !== entry.version) return false;
+  
+  try {
+    const buffer = await fs.readFile(path.join(DOWNLOAD_PATH, entry.file));
+    return crypto.createHash('sha256').update(buffer).digest('hex') === entry.sha256;
+  } catch (e) {
+    return false;
+  }
+}
+
+// ZIP deliverables: unpack the document next to the other specs for reference extraction and
+// index the attachments in the manifest. Done once per archive, or again when the document is gone
+async function unpackIfArchive(entry) {
+  if (!entry?.file?.toLowerCase().endsWith('.zip')) return;
+  if (entry.attachments && (!entry.primary || await fileExists(path.join(DOWNLOAD_PATH, entry.primary)))) {
+    if (entry.schemaIndexVersion !== SCHEMA_INDEX_VERSION) await indexAttachments(entry);
+    return;
+  }
+  
+  const archiveDir = entry.file.replace(/\.zip$/i, '');
+  const { primary, attachments } = await unpackArchive(path.join(DOWNLOAD_PATH, entry.file), {
+    documentDir: path.join(DOWNLOAD_PATH, path.dirname(entry.file)),
+    attachmentsDir: path.join(ATTACHMENTS_PATH, archiveDir),
+  });
+  entry.primary = primary ? `${path.dirname(entry.file)}/${primary}` : null;
+  entry.attachments = attachments.map(a => ({ ...a, file: `${archiveDir}/${a.file}` }));
+  entry.version = (primary && editionFromFilename(primary)) || entry.version;
+  console.log(`    📦 Unpacked ${primary || '(no document found)'}${attachments.length > 0 ? ` + ${attachments.length} attachments` : ''}`);
+  await indexAttachments(entry);
+}
+
+// Record what the ASN.1 modules and XML/JSON schemas among the attachments define and
+// import; extract-references.js turns the imports into edges between specs
+async function indexAttachments(entry) {
+  let schemas = 0;
+  for (const attachment of entry.attachments) {
+    delete attachment.defines;
+    delete attachment.imports;
+    try {
+      const index = indexSchema(attachment.file, await fs.readFile(path.join(ATTACHMENTS_PATH, attachment.file)));
+      if (!index) continue;
+      Object.assign(attachment, index);
+      schemas++;
+    } catch (e) {
+      // Attachment missing on disk, it is unpacked again with the next download
+    }
+  }
+  entry.schemaIndexVersion = SCHEMA_INDEX_VERSION;
+  if (schemas > 0) {
+    const imports = entry.attachments.reduce((sum, a) => sum + (a.imports?.length || 0), 0);
+    console.log(`    🧩 Indexed ${schemas} schemas (${imports} imports)`);
+  }
+}
+
+// Delivered files carry the edition in their name: en_31941201v010501p.pdf, ts_11961201v020301p0.zip -> 1.5.1, 2.3.1
+function editionFromFilename(filename) {
+  const match = filename.match(/v(\d{2})(\d{2})(\d{2})[a-z]?\d*\.\w+$/i);
+  return match ? match.slice(1).map(part => parseInt(part, 10)).join('.') : null;
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+async function fileExists(filePath) {
+  return (await fileSize(filePath)) > 0;
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
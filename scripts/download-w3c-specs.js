@@ -0,0 +1,94 @@
+/**
+ * W3C Specification Downloader
+ *
+ * Downloads the W3C Recommendations referenced across the EUDI ecosystem (VC Data
+ * Model, DID Core, WebAuthn, XMLDSig, ...) from their TR pages into
+ * downloads/specs/W3C/<shortname>.html, where extract-references.js picks them up.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { W3C_SPECS, w3cDocId, w3cTrUrl } from '../src/w3c-specs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOWNLOAD_PATH = path.join(__dirname, '../downloads/specs/W3C');
+
+async function downloadW3cSpecs() {
+  console.log('📥 W3C Specification Downloader');
+  console.log('===============================\n');
+  console.log(`Downloading ${W3C_SPECS.length} W3C specifications...\n`);
+
+  await fs.mkdir(DOWNLOAD_PATH, { recursive: true });
+
+  const results = {
+    success: [],
+    failed: [],
+  };
+
+  for (const spec of W3C_SPECS) {
+    const id = w3cDocId(spec.shortname);
+    const url = w3cTrUrl(id);
+    const filepath = path.join(DOWNLOAD_PATH, `${spec.shortname}.html`);
+
+    process.stdout.write(`📄 ${spec.shortname}...`);
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; EUDI-Nexus/1.0; +https://github.com/cre8/eudi-nexus)',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        },
+        // A stalled response must not block the remaining specs
+        signal: AbortSignal.timeout(15000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const html = await response.text();
+      await fs.writeFile(filepath, html, 'utf-8');
+
+      results.success.push({
+        id,
+        shortname: spec.shortname,
+        name: spec.name,
+        url,
+        downloadedAt: new Date().toISOString(),
+        filepath,
+        size: html.length,
+      });
+      console.log(` ✅ (${(html.length / 1024).toFixed(1)} KB)`);
+
+      // Small delay to be nice to servers
+      await new Promise(resolve => setTimeout(resolve, 500));
+
+    } catch (error) {
+      console.log(` ❌ ${error.message}`);
+      results.failed.push({ id, shortname: spec.shortname, url, error: error.message });
+    }
+  }
+
+  // Save summary
+  const summaryPath = path.join(DOWNLOAD_PATH, 'w3c_specs_summary.json');
+  await fs.writeFile(summaryPath, JSON.stringify({
+    downloadedAt: new Date().toISOString(),
+    totalSpecs: W3C_SPECS.length,
+    successCount: results.success.length,
+    failedCount: results.failed.length,
+    specs: results.success,
+    failed: results.failed,
+  }, null, 2));
+
+  console.log('\n===============================');
+  console.log(`✅ Downloaded: ${results.success.length}/${W3C_SPECS.length}`);
+  if (results.failed.length > 0) {
+    console.log(`❌ Failed: ${results.failed.length}`);
+    results.failed.forEach(f => console.log(`   - ${f.shortname}: ${f.error}`));
+  }
+  console.log(`\n📁 Saved to: ${DOWNLOAD_PATH}`);
+  console.log(`📋 Summary: ${summaryPath}`);
+}
+
+downloadW3cSpecs().catch(console.error);
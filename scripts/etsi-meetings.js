@@ -0,0 +1,245 @@
+/**
+ * ETSI ESI Meetings Calendar
+ *
+ * Fetches upcoming meetings of the ESI technical body from the ETSI meetings
+ * calendar, links each meeting to the active work items it is likely to discuss,
+ * and writes:
+ *   - downloads/meetings.json (for tooling and the Pages site)
+ *   - downloads/meetings.ics (iCalendar feed to subscribe to)
+ *
+ * A work item is linked when the meeting title or description mentions its ETSI
+ * number, or when one of its open milestones (e.g. TB approval) is due during
+ * the meeting.
+ *
+ * Usage: node etsi-meetings.js [--days <n>]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ETSIClient } from '../src/etsi-client.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = path.join(__dirname, '../downloads');
+const BASE_URL = 'https://portal.etsi.org';
+
+// ESI technical body in the ETSI portal (same ID as the work program query)
+const ESI_TB_ID = 607;
+const PAGE_SIZE = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+// CLI flags
+const args = process.argv.slice(2);
+const daysIndex = args.indexOf('--days');
+const DAYS = daysIndex !== -1 ? parseInt(args[daysIndex + 1], 10) : 180;
+
+async function exportMeetings() {
+  console.log('📆 EUDI Nexus - ESI Meetings Calendar');
+  console.log('=====================================\n');
+
+  const client = new ETSIClient();
+  const from = new Date();
+  const to = new Date(Date.now() + DAYS * DAY);
+  const formatDate = (date) => date.toISOString().split('T')[0] + ' 00:00:00';
+
+  console.log(`Fetching ESI meetings until ${to.toISOString().slice(0, 10)} (${DAYS} days)...`);
+  const rawMeetings = [];
+  for (let startRow = 0; ; startRow += PAGE_SIZE) {
+    const page = await client.getMeetings({
+      startRow,
+      resultsPerPage: PAGE_SIZE,
+      startDate: formatDate(from),
+      endDate: formatDate(to),
+      tbs: [ESI_TB_ID],
+      includeNonTBMeetings: false,
+    });
+    rawMeetings.push(...page);
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  // Save the raw response for debugging, the field names are not documented
+  await fs.mkdir(path.join(OUTPUT_PATH, 'debug'), { recursive: true });
+  await fs.writeFile(path.join(OUTPUT_PATH, 'debug', 'meetings.json'), JSON.stringify(rawMeetings, null, 2));
+
+  const meetings = rawMeetings
+    .map(normalizeMeeting)
+    .filter(meeting => meeting.startDate && isEsiMeeting(meeting))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  console.log(`  → ${meetings.length} ESI meetings (${rawMeetings.length} returned)\n`);
+
+  const workItems = await loadActiveWorkItems();
+  console.log(workItems.length > 0
+    ? `Linking meetings to ${workItems.length} active work items`
+    : 'Note: Could not load work_items.json - meetings are not linked to work items (run npm run scrape first)');
+  for (const meeting of meetings) {
+    meeting.workItems = linkWorkItems(meeting, workItems);
+  }
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    range: { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) },
+    meetings,
+  };
+
+  await fs.writeFile(path.join(OUTPUT_PATH, 'meetings.json'), JSON.stringify(result, null, 2));
+  await fs.writeFile(path.join(OUTPUT_PATH, 'meetings.ics'), generateICalendar(meetings));
+
+  for (const meeting of meetings) {
+    const linked = meeting.workItems.length > 0 ? ` - ${meeting.workItems.length} work items` : '';
+    console.log(`   ${meeting.startDate} ${meeting.reference || meeting.title}${linked}`);
+  }
+  console.log('\nOutput files:');
+  console.log('   - meetings.json (machine-readable)');
+  console.log('   - meetings.ics (calendar feed)');
+}
+
+// The meetings web service returns portal database rows; pick the fields we need from
+// whichever of the known column names is present
+function normalizeMeeting(raw) {
+  const pick = (...keys) => {
+    const key = keys.find(k => raw[k] !== undefined && raw[k] !== null && raw[k] !== '');
+    return key ? String(raw[key]).trim() : null;
+  };
+  const id = pick('MTG_ID', 'MtgId', 'Id', 'ID');
+  const endDate = parseMeetingDate(pick('END_DATE', 'EndDate', 'MTG_END_DATE'));
+  const startDate = parseMeetingDate(pick('START_DATE', 'StartDate', 'MTG_START_DATE'));
+
+  return {
+    id,
+    reference: pick('MTG_SHORT_REF', 'MTG_REF', 'ShortRef', 'Reference'),
+    title: pick('MTG_TITLE', 'Title', 'MTG_NAME', 'Name') || 'ESI meeting',
+    description: pick('MTG_DESC', 'Description', 'MTG_COMMENT', 'Comment'),
+    technicalBody: pick('TB_NAME', 'TbName', 'TB_SHORT_NAME', 'Tb'),
+    startDate,
+    endDate: endDate || startDate,
+    location: [pick('LOC_CITY', 'City', 'MTG_CITY'), pick('LOC_CTY_NAME', 'Country', 'LOC_CTY_CODE')].filter(Boolean).join(', ') || null,
+    url: id ? `${BASE_URL}/webapp/MeetingCalendar/MeetingDetails.asp?m_id=${id}` : null,
+  };
+}
+
+// Dates come as "/Date(1762128000000+0100)/" (WCF JSON), "2026-11-03T00:00:00" or "2026-11-03 00:00:00"
+function parseMeetingDate(value) {
+  if (!value) return null;
+  const wcf = value.match(/\/Date\((-?\d+)(?:([+-])(\d{2})(\d{2}))?\)\//);
+  if (wcf) {
+    // UTC milliseconds plus the server's UTC offset: midnight in Sophia Antipolis is 23:00 UTC the day before
+    const [, ms, sign, hours, minutes] = wcf;
+    const offsetMinutes = sign ? (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) : 0;
+    return new Date(parseInt(ms, 10) + offsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+  }
+  return value.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null;
+}
+
+// The TB filter includes child bodies; anything clearly belonging to another body is dropped
+function isEsiMeeting(meeting) {
+  if (meeting.technicalBody) {
+    return /\bESI\b/i.test(meeting.technicalBody);
+  }
+  return /\bESI\b/i.test(`${meeting.reference || ''} ${meeting.title}`);
+}
+
+// Work items still in development (latest work item per ETSI number)
+async function loadActiveWorkItems() {
+  try {
+    const items = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'work_items.json'), 'utf-8'));
+    const byEtsiNumber = new Map();
+    for (const item of items) {
+      if (!item.etsiNumber || !/Drafting|approval/i.test(item.stage || '')) continue;
+      const existing = byEtsiNumber.get(item.etsiNumber);
+      if (!existing || parseInt(item.workItemId) > parseInt(existing.workItemId)) {
+        byEtsiNumber.set(item.etsiNumber, item);
+      }
+    }
+    return [...byEtsiNumber.values()];
+  } catch (e) {
+    return [];
+  }
+}
+
+function linkWorkItems(meeting, workItems) {
+  const text = `${meeting.title} ${meeting.description || ''}`.replace(/\s+/g, ' ');
+  const linked = [];
+
+  for (const item of workItems) {
+    // "TS 119 472-1" also matches "TS 119472-1" but not "TS 119 472-10"
+    const number = item.etsiNumber.replace(/\s+/g, '\\s*');
+    if (new RegExp(`\\b${number}(?![\\d-])`, 'i').test(text)) {
+      linked.push({ etsiNumber: item.etsiNumber, workItemId: item.workItemId, reason: 'mentioned' });
+      continue;
+    }
+
+    const due = (item.schedule || []).find(m =>
+      m.targetDate && !m.achievedDate && m.targetDate >= meeting.startDate && m.targetDate <= meeting.endDate
+    );
+    if (due) {
+      linked.push({ etsiNumber: item.etsiNumber, workItemId: item.workItemId, reason: `${due.milestone} due ${due.targetDate}` });
+    }
+  }
+
+  return linked.sort((a, b) => a.etsiNumber.localeCompare(b.etsiNumber));
+}
+
+// iCalendar (RFC 5545) feed with one all-day event per meeting
+function generateICalendar(meetings) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const icsDate = (date) => date.replace(/-/g, '');
+  const nextDay = (date) => new Date(new Date(date).getTime() + DAY).toISOString().slice(0, 10);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//EUDI Nexus//ESI Meetings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:ETSI ESI Meetings',
+  ];
+
+  for (const meeting of meetings) {
+    const description = [
+      meeting.description,
+      meeting.workItems.length > 0
+        ? 'Work items:\n' + meeting.workItems.map(w => `- ${w.etsiNumber} (${w.reason})`).join('\n')
+        : null,
+      meeting.url,
+    ].filter(Boolean).join('\n\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:etsi-meeting-${meeting.id || `${meeting.startDate}-${meeting.reference || meeting.title}`.replace(/[^\w.-]/g, '')}@eudi-nexus`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(meeting.startDate)}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${icsDate(nextDay(meeting.endDate))}`,
+      `SUMMARY:${escapeText(meeting.reference ? `${meeting.reference} - ${meeting.title}` : meeting.title)}`,
+      ...(meeting.location ? [`LOCATION:${escapeText(meeting.location)}`] : []),
+      ...(meeting.url ? [`URL:${meeting.url}`] : []),
+      `DESCRIPTION:${escapeText(description)}`,
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+exportMeetings().catch(console.error);
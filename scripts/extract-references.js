@@ -1,29 +1,47 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { createRequire } from 'module';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import * as cheerio from 'cheerio';
+import { createRequire } from 'module';
+import { Worker } from 'worker_threads';
+import {
+  EXTRACTOR_VERSION,
+  extractDocumentReferences,
+  normalizeDocId,
+  parseDocId,
+  formatDocId,
+} from '../src/reference-parser.js';
+import { SOURCES } from '../src/sources/index.js';
+import { isInternetDraft, parseDraftName, formatDraftName } from '../src/ietf-drafts.js';
+import { EUDI_RELEVANT_SPECS, isEudiEtsiSpec } from '../src/eudi-specs.js';
+import { KNOWN_DEFINITIONS, fileKey } from '../src/schema-attachments.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const require = createRequire(import.meta.url);
-const pdfParse = require('pdf-parse');
-import mammoth from 'mammoth';
-
+const WORKER_PATH = path.join(__dirname, '../src/extract-worker.js');
 const SPECS_PATH = path.join(__dirname, '../downloads/specs');
-const OIDF_SPECS_PATH = path.join(__dirname, '../downloads/specs/OIDF');
-const IETF_SPECS_PATH = path.join(__dirname, '../downloads/specs/IETF');
 const OUTPUT_PATH = path.join(__dirname, '../downloads');
+const CACHE_PATH = path.join(__dirname, '../downloads/.cache/extract');
+const DRAFT_STATUS_PATH = path.join(SPECS_PATH, 'IETF/drafts.json');
+const SNAPSHOTS_PATH = path.join(OUTPUT_PATH, 'snapshots');
 
 // CLI flags
 const args = process.argv.slice(2);
 const INCLUDE_DRAFTS = args.includes('--include-drafts') || args.includes('-d');
 const ALL_SPECS = args.includes('--all') || args.includes('-a');
 const EUDI_MODE = !ALL_SPECS; // EUDI focus is the default
+const USE_CACHE = !args.includes('--no-cache');
+const ARCHIVE_SNAPSHOT = !args.includes('--no-snapshot');
+const OFFLINE = args.includes('--offline');
+const JOBS = args.includes('--jobs')
+  ? Math.max(1, parseInt(args[args.indexOf('--jobs') + 1]) || 1)
+  : 1;
 
-// Load ETSI work item URLs from esi_overview.json
+// Load ETSI work item URLs, published versions and work item metadata from esi_overview.json
 let etsiWorkItemUrls = new Map();
+let etsiPublishedVersions = new Map();
+let etsiWorkItemInfo = new Map();
 async function loadEtsiUrls() {
   try {
     const overviewPath = path.join(OUTPUT_PATH, 'esi_overview.json');
@@ -40,6 +58,24 @@ async function loadEtsiUrls() {
           etsiWorkItemUrls.set(item.etsiNumber, cleanUrl);
         }
       }
+      
+      // Title, owner and scope, scraped from the work item detail page
+      if (item.etsiNumber && !etsiWorkItemInfo.has(item.etsiNumber)) {
+        const info = Object.fromEntries(
+          ['title', 'rapporteur', 'technicalBody', 'scope', 'keywords']
+            .filter(field => item[field]?.length)
+            .map(field => [field, item[field]])
+        );
+        etsiWorkItemInfo.set(item.etsiNumber, info);
+      }
+    }
+    
+    // The work item reference of a published document encodes its version: "REN/ESI-0019412-1v141" -> 1.4.1
+    for (const item of data.publishedDocuments || []) {
+      const versionMatch = item.reference?.match(/v(\d)(\d)(\d)$/);
+      if (item.etsiNumber && versionMatch) {
+        etsiPublishedVersions.set(item.etsiNumber, versionMatch.slice(1).join('.'));
+      }
     }
     console.log(`Loaded ${etsiWorkItemUrls.size} ETSI work item URLs\n`);
   } catch (e) {
@@ -47,136 +83,81 @@ async function loadEtsiUrls() {
   }
 }
 
-// EUDI Wallet ecosystem relevant specifications
-// These are the core specs for the European Digital Identity Wallet
-const EUDI_RELEVANT_SPECS = new Set([
-  // Trust Services - Core
-  'TS 119 102-1', 'TS 119 102-2',
-  'EN 319 102-1',
-  'EN 319 401', 'EN 319 403',
-  
-  // Electronic Signatures (AdES)
-  'EN 319 122-1', 'EN 319 122-2', // CAdES
-  'EN 319 132-1', 'EN 319 132-2', // XAdES
-  'EN 319 142-1', 'EN 319 142-2', // PAdES
-  'TS 119 182-1', 'TS 119 182-2', // JAdES
-  
-  // Signature Creation & Validation
-  'EN 319 112-1', 'TS 119 172-1', 'TS 119 172-2', 'TS 119 172-3', 'TS 119 172-4',
-  'TS 119 192',
-  
-  // Trust Lists
-  'TS 119 612', 'TS 119 614-1', 'TS 119 615',
-  
-  // Certificates & PKI
-  'EN 319 411-1', 'EN 319 411-2', 'EN 319 412-1', 'EN 319 412-2', 'EN 319 412-3', 'EN 319 412-4', 'EN 319 412-5',
-  'EN 319 421', 'EN 319 422',
-  
-  // Remote Signing
-  'TS 119 431-1', 'TS 119 431-2', 'TS 119 432',
-  'TS 119 441',
-  
-  // Wallet & Credentials - The core EUDI specs
-  'TS 119 461', 'TS 119 462',
-  'TS 119 471', 'TS 119 472-1', 'TS 119 472-2', 'TS 119 472-3',
-  'TS 119 475', 'TS 119 476', 'TS 119 476-1', 'TS 119 478', 'TS 119 479-1', 'TS 119 479-2',
-  'TS 119 495',
-  
-  // Preservation
-  'TS 119 511', 'TS 119 512',
-  'TS 119 524-1', 'TS 119 524-2',
-  'TS 119 534-1', 'TS 119 534-2',
-  
-  // Registered E-Mail / E-Delivery  
-  'EN 319 521', 'EN 319 522-1', 'EN 319 522-2', 'EN 319 522-3',
-  'EN 319 531', 'EN 319 532-1', 'EN 319 532-2', 'EN 319 532-3', 'EN 319 532-4',
-  
-  // Policy & Security Requirements
-  'TS 119 541', 'TS 119 542',
-  'TS 119 602',
-  
-  // Cryptographic Suites
-  'TS 119 312',
-  
-  // Technical Reports & Guidance for EUDI
-  'TR 119 000', 'TR 119 001', 'TR 119 100',
-  'TR 119 400', 'TR 119 460', 'TR 119 476', 'TR 119 476-1',
-  'TR 119 500', 'TR 119 520-1', 'TR 119 520-2', 'TR 119 530', 'TR 119 540',
-  'TR 119 600',
-]);
+// Datatracker status of cited Internet-Drafts, recorded by crawl-references.js:
+// draft name -> { latestRevision, expires, rfc }
+let draftStatus = new Map();
+async function loadDraftStatus() {
+  try {
+    const data = JSON.parse(await fs.readFile(DRAFT_STATUS_PATH, 'utf-8'));
+    draftStatus = new Map(Object.entries(data.drafts || {}));
+    console.log(`Loaded datatracker status of ${draftStatus.size} Internet-Drafts\n`);
+  } catch (e) {
+    // No drafts crawled yet
+  }
+}
+
+// Attachments of ZIP deliverables (ASN.1 modules, schemas, ...), indexed in the download
+// manifest by download-specs.js: unpacked document path -> attachments
+let archiveAttachments = new Map();
+async function loadArchiveAttachments() {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(SPECS_PATH, 'manifest.json'), 'utf-8'));
+    for (const entry of Object.values(manifest.specs || {})) {
+      if (entry.primary && entry.attachments?.length > 0) {
+        archiveAttachments.set(path.join(SPECS_PATH, entry.primary), entry.attachments);
+      }
+    }
+  } catch (e) {
+    // Nothing downloaded yet
+  }
+}
+
+// Upcoming ESI meetings exported by etsi-meetings.js, linked from the page footer
+let upcomingMeetings = null;
+async function loadMeetings() {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'meetings.json'), 'utf-8'));
+    const today = new Date().toISOString().slice(0, 10);
+    upcomingMeetings = data.meetings.filter(meeting => meeting.endDate >= today);
+  } catch (e) {
+    // Meetings not exported
+  }
+}
 
 // External specs relevant to EUDI (always included when referenced)
 const EUDI_EXTERNAL_SPECS = new Set([
   // Core OIDF specs for EUDI Wallet
-  'OpenID4VP', 'OpenID4VCI', 'OpenID4VC-HAIP', 'HAIP', 'SD-JWT', 'SD-JWT VC',
+  'OpenID4VP', 'OpenID4VCI', 'OpenID4VC-HAIP', 'HAIP',
   'OpenID Connect', 'OpenID Connect Core',
   
+  // IETF drafts (any revision)
+  'draft-ietf-oauth-selective-disclosure-jwt', // SD-JWT
+  'draft-ietf-oauth-sd-jwt-vc', // SD-JWT VC
+  'draft-ietf-oauth-status-list', // Token Status List
+  
   // Key RFCs
   'RFC 5280', 'RFC 3161', 'RFC 6960', 'RFC 5652', 'RFC 8017',
   'RFC 7515', 'RFC 7516', 'RFC 7517', 'RFC 7518', 'RFC 7519', // JOSE
   'RFC 8392', 'RFC 8747', // CBOR/CWT
   'RFC 9449', 'RFC 9126', // OAuth DPoP, PAR
+  
+  // W3C Recommendations (by TR short name)
+  'W3C vc-data-model', 'W3C vc-data-model-2.0', 'W3C vc-data-integrity', 'W3C vc-jose-cose',
+  'W3C did-core', 'W3C webauthn', 'W3C webauthn-2', 'W3C webauthn-3',
+  'W3C xmldsig-core', 'W3C xmldsig-core1', // XAdES
 ]);
 
-// Regex patterns for different reference types
-const REF_PATTERNS = {
-  // ETSI documents
-  etsi: [
-    /ETSI\s+(EN|TS|TR|ES|EG|SR)\s+(\d{3}\s*\d{3}(?:-\d+)?)/gi,
-    /(?<![A-Z])(EN|TS|TR|ES|EG|SR)\s+(\d{3}\s*\d{3}(?:-\d+)?)/gi,
-  ],
-  // IETF RFCs
-  ietf: [
-    /RFC\s*(\d{3,5})/gi,
-  ],
-  // ISO/IEC standards
-  iso: [
-    /ISO(?:\/IEC)?\s+(\d+(?:[-–]\d+)*)/gi,
-  ],
-  // ITU-T recommendations
-  itu: [
-    /ITU-T\s+([A-Z]\.?\s*\d+(?:\.\d+)?)/gi,
-  ],
-  // W3C specifications
-  w3c: [
-    /W3C\s+([\w-]+)/gi,
-  ],
-  // OpenID Foundation (OIDF) specifications
-  oidf: [
-    /OpenID4VP(?:\s+[\d.]+)?/gi,
-    /OpenID4VCI(?:\s+[\d.]+)?/gi,
-    /OpenID4VC(?:-HAIP)?(?:\s+[\d.]+)?/gi,
-    /OpenID\s+Connect(?:\s+Core)?(?:\s+[\d.]+)?/gi,
-    /OpenID\s+for\s+Verifiable\s+(?:Presentations?|Credentials?)(?:\s+[\d.]+)?/gi,
-    /SD-JWT(?:\s+VC)?/gi,
-    /\bHAIP\b/g,
-  ],
-  // CEN/CENELEC European standards
-  cen: [
-    /(?:CEN|CENELEC)\s+(\d+(?:[-–]\d+)*)/gi,
-  ],
-};
-
 // Helper to check if a spec is EUDI-relevant
 function isEudiRelevant(specId, source = 'etsi') {
   if (!EUDI_MODE) return true; // All specs mode
   
   if (source === 'etsi') {
-    // Check direct match or base spec match (e.g., "TS 119 472-2" matches "TS 119 472")
-    if (EUDI_RELEVANT_SPECS.has(specId)) return true;
-    
-    // Check if it's a sub-part of a relevant spec series
-    const baseSpec = specId.replace(/-\d+$/, '');
-    if (EUDI_RELEVANT_SPECS.has(baseSpec)) return true;
-    
-    // Check 119 xxx series - all are EUDI relevant
-    if (/^(TS|TR|EN)\s+119\s+\d/.test(specId)) return true;
-    
-    return false;
+    // Relevance is decided per spec, regardless of the cited edition
+    return isEudiEtsiSpec(parseDocId(specId).spec);
   }
   
   // External specs - check against EUDI external list
-  if (EUDI_EXTERNAL_SPECS.has(specId)) return true;
+  if (EUDI_EXTERNAL_SPECS.has(specKey(specId))) return true;
   
   // Always include commonly referenced security/crypto RFCs
   if (source === 'ietf' && /^RFC\s*(5280|3161|6960|5652|7515|7516|7517|7518|7519|8392)$/i.test(specId)) {
@@ -201,17 +182,27 @@ async function extractReferences() {
 
   // Load ETSI work item URLs for proper portal links
   await loadEtsiUrls();
+  await loadDraftStatus();
+  await loadMeetings();
+  await loadArchiveAttachments();
 
-  // Find all documents (PDFs and optionally Word drafts)
-  const pdfFiles = await findPdfFiles(SPECS_PATH);
-  const docxFiles = INCLUDE_DRAFTS ? await findDocxFiles(SPECS_PATH) : [];
-  
-  console.log(`Found ${pdfFiles.length} PDF files to analyze`);
-  if (INCLUDE_DRAFTS) {
-    console.log(`Found ${docxFiles.length} Word draft documents to analyze`);
+  // Discover documents of every source: published ETSI PDFs, Word drafts (with
+  // --include-drafts) and OIDF/IETF specs downloaded by the crawler
+  const documents = [];
+  for (const source of SOURCES) {
+    const files = await source.discover(SPECS_PATH, { includeDrafts: INCLUDE_DRAFTS });
+    if (files.length > 0) {
+      console.log(`Found ${files.length} ${source.label} to analyze`);
+    }
+    documents.push(...files.map(file => ({ source, file })));
   }
   console.log('');
 
+  // Parse all documents up front (across worker threads with --jobs), then build
+  // the graph in file order so the output does not depend on the number of jobs
+  console.log(`Parsing ${documents.length} documents${JOBS > 1 ? ` with ${JOBS} workers` : ''}...`);
+  const parsed = await parseDocuments(documents);
+
   const graph = {
     nodes: new Map(), // docId -> { id, title, type, path, referencesCount, referencedByCount }
     edges: [],        // { from, to, type: 'normative'|'informative' }
@@ -222,22 +213,31 @@ async function extractReferences() {
     errors: [],
   };
 
-  for (let i = 0; i < pdfFiles.length; i++) {
-    const pdfPath = pdfFiles[i];
-    const filename = path.basename(pdfPath);
-    const progress = `[${i + 1}/${pdfFiles.length}]`;
+  for (const source of SOURCES) {
+    const files = documents.filter(d => d.source === source).map(d => d.file);
+    if (files.length === 0) continue;
     
-    process.stdout.write(`${progress} ${filename}...`);
+    console.log(`\nProcessing ${files.length} ${source.label}...`);
     
-    try {
-      const refs = await extractReferencesFromPdf(pdfPath);
+    for (let i = 0; i < files.length; i++) {
+      const filePath = files[i];
+      const filename = path.basename(filePath);
+      const progress = `[${i + 1}/${files.length}]`;
       
-      // Get document ID from filename
-      const docId = normalizeDocId(filenameToDocId(filename));
+      process.stdout.write(`${progress} ${filename}...`);
       
-      if (docId) {
+      try {
+        const refs = takeParsed(parsed, filePath);
+        
+        // Get document ID from filename
+        const docId = source.docId(filename);
+        if (!docId) {
+          console.log(`   WARN: Could not determine doc ID`);
+          continue;
+        }
+        
         // Skip non-EUDI documents in EUDI mode
-        if (EUDI_MODE && !isEudiRelevant(docId, 'etsi')) {
+        if (source.eudiScoped && !isEudiRelevant(docId, source.source)) {
           console.log(`   SKIP: Not EUDI-relevant`);
           continue;
         }
@@ -248,488 +248,71 @@ async function extractReferences() {
         const informativeCount = countRefs(refs.informative);
         const totalCount = countRefs(refs.all);
         
-        // Add source node
-        if (!graph.nodes.has(docId)) {
-          graph.nodes.set(docId, {
-            id: docId,
-            type: docId.split(' ')[0],
-            source: 'etsi',
-            path: pdfPath,
-            referencesCount: 0,
-            referencedByCount: 0,
-            isEudiCore: EUDI_RELEVANT_SPECS.has(docId),
-          });
-        }
-        graph.nodes.get(docId).referencesCount = totalCount;
+        const node = addDocumentNode(graph, source, docId, filePath);
+        node.referencesCount = totalCount;
+        addReferenceEdges(graph, source, docId, refs);
         
-        // Add ETSI edges (filter by EUDI relevance)
-        for (const ref of refs.normative.etsi) {
-          const targetId = normalizeDocId(ref);
-          if (targetId && targetId !== docId && isEudiRelevant(targetId, 'etsi')) {
-            graph.edges.push({ from: docId, to: targetId, type: 'normative', source: 'etsi' });
-            ensureNode(graph, targetId, 'etsi');
-            graph.nodes.get(targetId).referencedByCount++;
-          }
-        }
-        
-        for (const ref of refs.informative.etsi) {
-          const targetId = normalizeDocId(ref);
-          if (targetId && targetId !== docId && isEudiRelevant(targetId, 'etsi')) {
-            graph.edges.push({ from: docId, to: targetId, type: 'informative', source: 'etsi' });
-            ensureNode(graph, targetId, 'etsi');
-            graph.nodes.get(targetId).referencedByCount++;
-          }
-        }
-        
-        // Add external refs (IETF, ISO, ITU, W3C, OIDF) - filter by EUDI relevance
-        const externalTypes = ['ietf', 'iso', 'itu', 'w3c', 'oidf'];
-        for (const extType of externalTypes) {
-          for (const ref of refs.normative[extType] || []) {
-            if (isEudiRelevant(ref, extType)) {
-              graph.edges.push({ from: docId, to: ref, type: 'normative', source: extType });
-              ensureExternalNode(graph, ref, extType);
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          for (const ref of refs.informative[extType] || []) {
-            if (isEudiRelevant(ref, extType)) {
-              graph.edges.push({ from: docId, to: ref, type: 'informative', source: extType });
-              ensureExternalNode(graph, ref, extType);
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
+        // RFCs obsoleted/updated by this one, as declared in its header
+        for (const relation of RFC_RELATIONS) {
+          if (refs.relations?.[relation].length) node[relation] = refs.relations[relation];
         }
         
         results.documents.push({
           file: filename,
           docId,
+          source: source.source,
+          ...(source.isDraft && { isDraft: true }),
           normativeRefs: normativeCount,
           informativeRefs: informativeCount,
           totalRefs: totalCount,
           references: refs,
         });
         
-        const extCounts = externalTypes.map(t => 
-          (refs.normative[t]?.length || 0) + (refs.informative[t]?.length || 0)
-        ).filter(n => n > 0);
-        const extInfo = extCounts.length > 0 ? ` + ${extCounts.reduce((a,b)=>a+b,0)} external` : '';
-        
-        console.log(`   OK: ${refs.normative.etsi.length} norm, ${refs.informative.etsi.length} info${extInfo}`);
-      } else {
-        console.log(`   WARN: Could not determine doc ID`);
-      }
-      
-    } catch (error) {
-      console.log(`   ERROR: ${error.message}`);
-      results.errors.push({ file: filename, error: error.message });
-    }
-  }
-
-  // Process Word documents (drafts)
-  if (INCLUDE_DRAFTS && docxFiles.length > 0) {
-    console.log('\nProcessing draft documents...');
-    
-    for (let i = 0; i < docxFiles.length; i++) {
-      const docxPath = docxFiles[i];
-      const filename = path.basename(docxPath);
-      const progress = `[${i + 1}/${docxFiles.length}]`;
-      
-      process.stdout.write(`${progress} ${filename} (draft)...`);
-      
-      try {
-        const refs = await extractReferencesFromDocx(docxPath);
-        
-        // Get document ID from filename
-        const docId = normalizeDocId(filenameToDocId(filename)) || docxFilenameToDocId(filename);
-        
-        if (docId) {
-          // Skip non-EUDI documents in EUDI mode
-          if (EUDI_MODE && !isEudiRelevant(docId, 'etsi')) {
-            console.log(`   SKIP: Not EUDI-relevant`);
-            continue;
-          }
-          
-          const countRefs = (obj) => Object.values(obj).reduce((sum, arr) => sum + arr.length, 0);
-          const normativeCount = countRefs(refs.normative);
-          const informativeCount = countRefs(refs.informative);
-          const totalCount = countRefs(refs.all);
-          
-          // Add source node (marked as draft)
-          if (!graph.nodes.has(docId)) {
-            graph.nodes.set(docId, {
-              id: docId,
-              type: docId.split(' ')[0],
-              source: 'etsi',
-              path: docxPath,
-              referencesCount: 0,
-              referencedByCount: 0,
-              isDraft: true,
-              isEudiCore: EUDI_RELEVANT_SPECS.has(docId),
-            });
-          } else {
-            // Update existing node to mark as draft if it wasn't downloaded as PDF
-            const node = graph.nodes.get(docId);
-            if (!node.path || node.path.endsWith('.docx')) {
-              node.isDraft = true;
-              node.path = docxPath;
-            }
-          }
-          graph.nodes.get(docId).referencesCount = totalCount;
-          
-          // Add ETSI edges (filter by EUDI relevance)
-          for (const ref of refs.normative.etsi) {
-            const targetId = normalizeDocId(ref);
-            if (targetId && targetId !== docId && isEudiRelevant(targetId, 'etsi')) {
-              graph.edges.push({ from: docId, to: targetId, type: 'normative', source: 'etsi' });
-              ensureNode(graph, targetId, 'etsi');
-              graph.nodes.get(targetId).referencedByCount++;
-            }
-          }
-          
-          for (const ref of refs.informative.etsi) {
-            const targetId = normalizeDocId(ref);
-            if (targetId && targetId !== docId && isEudiRelevant(targetId, 'etsi')) {
-              graph.edges.push({ from: docId, to: targetId, type: 'informative', source: 'etsi' });
-              ensureNode(graph, targetId, 'etsi');
-              graph.nodes.get(targetId).referencedByCount++;
-            }
-          }
-          
-          // Add external refs (filter by EUDI relevance)
-          const externalTypes = ['ietf', 'iso', 'itu', 'w3c', 'oidf'];
-          for (const extType of externalTypes) {
-            for (const ref of refs.normative[extType] || []) {
-              if (isEudiRelevant(ref, extType)) {
-                graph.edges.push({ from: docId, to: ref, type: 'normative', source: extType });
-                ensureExternalNode(graph, ref, extType);
-                graph.nodes.get(ref).referencedByCount++;
-              }
-            }
-            for (const ref of refs.informative[extType] || []) {
-              if (isEudiRelevant(ref, extType)) {
-                graph.edges.push({ from: docId, to: ref, type: 'informative', source: extType });
-                ensureExternalNode(graph, ref, extType);
-                graph.nodes.get(ref).referencedByCount++;
-              }
-            }
-          }
-          
-          results.documents.push({
-            file: filename,
-            docId,
-            isDraft: true,
-            normativeRefs: normativeCount,
-            informativeRefs: informativeCount,
-            totalRefs: totalCount,
-            references: refs,
-          });
-          
-          const extCounts = externalTypes.map(t => 
-            (refs.normative[t]?.length || 0) + (refs.informative[t]?.length || 0)
-          ).filter(n => n > 0);
-          const extInfo = extCounts.length > 0 ? ` + ${extCounts.reduce((a,b)=>a+b,0)} external` : '';
-          
-          console.log(`   OK: ${refs.normative.etsi.length} norm, ${refs.informative.etsi.length} info${extInfo}`);
-        } else {
-          console.log(`   WARN: Could not determine doc ID`);
-        }
-        
+        console.log(`   OK: ${normativeCount} norm, ${informativeCount} info`);
       } catch (error) {
         console.log(`   ERROR: ${error.message}`);
-        results.errors.push({ file: filename, error: error.message, isDraft: true });
+        results.errors.push({
+          file: filename,
+          error: error.message,
+          source: source.source,
+          ...(source.isDraft && { isDraft: true }),
+        });
       }
     }
   }
 
-  // Process OIDF HTML specifications
-  const oidfHtmlFiles = await findHtmlFiles(OIDF_SPECS_PATH);
-  if (oidfHtmlFiles.length > 0) {
-    console.log(`\nProcessing ${oidfHtmlFiles.length} OIDF specifications...`);
-    
-    for (let i = 0; i < oidfHtmlFiles.length; i++) {
-      const htmlPath = oidfHtmlFiles[i];
-      const filename = path.basename(htmlPath);
-      const progress = `[${i + 1}/${oidfHtmlFiles.length}]`;
-      
-      process.stdout.write(`${progress} ${filename} (OIDF)...`);
-      
-      try {
-        const refs = await extractReferencesFromHtml(htmlPath);
-        
-        // Get document ID from filename
-        const docId = htmlFilenameToOidfId(filename);
-        
-        if (docId) {
-          const countRefs = (obj) => Object.values(obj).reduce((sum, arr) => sum + arr.length, 0);
-          const normativeCount = countRefs(refs.normative);
-          const informativeCount = countRefs(refs.informative);
-          const totalCount = countRefs(refs.all);
-          
-          // Add/update OIDF node (mark as having a path now - it's downloaded)
-          if (!graph.nodes.has(docId)) {
-            graph.nodes.set(docId, {
-              id: docId,
-              type: 'OIDF',
-              source: 'oidf',
-              path: htmlPath,
-              referencesCount: 0,
-              referencedByCount: 0,
-              isEudiCore: EUDI_EXTERNAL_SPECS.has(docId),
-            });
-          } else {
-            // Update existing node with path
-            graph.nodes.get(docId).path = htmlPath;
-          }
-          graph.nodes.get(docId).referencesCount = totalCount;
-          
-          // Add edges from OIDF spec to its references
-          // ETSI references
-          for (const ref of refs.normative.etsi || []) {
-            const targetId = normalizeDocId(ref);
-            if (targetId && targetId !== docId && isEudiRelevant(targetId, 'etsi')) {
-              graph.edges.push({ from: docId, to: targetId, type: 'normative', source: 'etsi' });
-              ensureNode(graph, targetId, 'etsi');
-              graph.nodes.get(targetId).referencedByCount++;
-            }
-          }
-          
-          for (const ref of refs.informative.etsi || []) {
-            const targetId = normalizeDocId(ref);
-            if (targetId && targetId !== docId && isEudiRelevant(targetId, 'etsi')) {
-              graph.edges.push({ from: docId, to: targetId, type: 'informative', source: 'etsi' });
-              ensureNode(graph, targetId, 'etsi');
-              graph.nodes.get(targetId).referencedByCount++;
-            }
-          }
-          
-          // IETF references (RFCs)
-          for (const ref of refs.normative.ietf || []) {
-            if (ref !== docId) {
-              graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'ietf' });
-              ensureExternalNode(graph, ref, 'ietf');
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          
-          for (const ref of refs.informative.ietf || []) {
-            if (ref !== docId) {
-              graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'ietf' });
-              ensureExternalNode(graph, ref, 'ietf');
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          
-          // Other OIDF specs
-          for (const ref of refs.normative.oidf || []) {
-            if (ref !== docId) {
-              graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'oidf' });
-              ensureExternalNode(graph, ref, 'oidf');
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          
-          for (const ref of refs.informative.oidf || []) {
-            if (ref !== docId) {
-              graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'oidf' });
-              ensureExternalNode(graph, ref, 'oidf');
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          
-          // ISO references
-          for (const ref of refs.normative.iso || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'iso' });
-            ensureExternalNode(graph, ref, 'iso');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          for (const ref of refs.informative.iso || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'iso' });
-            ensureExternalNode(graph, ref, 'iso');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          // W3C references
-          for (const ref of refs.normative.w3c || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'w3c' });
-            ensureExternalNode(graph, ref, 'w3c');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          for (const ref of refs.informative.w3c || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'w3c' });
-            ensureExternalNode(graph, ref, 'w3c');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          results.documents.push({
-            file: filename,
-            docId,
-            source: 'oidf',
-            normativeRefs: normativeCount,
-            informativeRefs: informativeCount,
-            totalRefs: totalCount,
-            references: refs,
-          });
-          
-          console.log(`   OK: ${normativeCount} norm, ${informativeCount} info`);
-        } else {
-          console.log(`   WARN: Could not determine doc ID`);
-        }
-        
-      } catch (error) {
-        console.log(`   ERROR: ${error.message}`);
-        results.errors.push({ file: filename, error: error.message, source: 'oidf' });
-      }
-    }
-  }
-
-  // Process IETF RFC text files
-  const ietfTxtFiles = await findTxtFiles(IETF_SPECS_PATH);
-  if (ietfTxtFiles.length > 0) {
-    console.log(`\nProcessing ${ietfTxtFiles.length} IETF RFCs...`);
-    
-    for (let i = 0; i < ietfTxtFiles.length; i++) {
-      const txtPath = ietfTxtFiles[i];
-      const filename = path.basename(txtPath);
-      const progress = `[${i + 1}/${ietfTxtFiles.length}]`;
-      
-      process.stdout.write(`${progress} ${filename} (IETF)...`);
-      
-      try {
-        const refs = await extractReferencesFromTxt(txtPath);
-        
-        // Get RFC ID from filename
-        const docId = txtFilenameToRfcId(filename);
-        
-        if (docId) {
-          const countRefs = (obj) => Object.values(obj).reduce((sum, arr) => sum + arr.length, 0);
-          const normativeCount = countRefs(refs.normative);
-          const informativeCount = countRefs(refs.informative);
-          const totalCount = countRefs(refs.all);
-          
-          // Add/update IETF node (mark as having a path now - it's downloaded)
-          if (!graph.nodes.has(docId)) {
-            graph.nodes.set(docId, {
-              id: docId,
-              type: 'RFC',
-              source: 'ietf',
-              path: txtPath,
-              referencesCount: 0,
-              referencedByCount: 0,
-            });
-          } else {
-            // Update existing node with path
-            graph.nodes.get(docId).path = txtPath;
-          }
-          graph.nodes.get(docId).referencesCount = totalCount;
-          
-          // Add edges from IETF RFC to its references
-          // Other IETF RFCs
-          for (const ref of refs.normative.ietf || []) {
-            if (ref !== docId) {
-              graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'ietf' });
-              ensureExternalNode(graph, ref, 'ietf');
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          
-          for (const ref of refs.informative.ietf || []) {
-            if (ref !== docId) {
-              graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'ietf' });
-              ensureExternalNode(graph, ref, 'ietf');
-              graph.nodes.get(ref).referencedByCount++;
-            }
-          }
-          
-          // OIDF specs
-          for (const ref of refs.normative.oidf || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'oidf' });
-            ensureExternalNode(graph, ref, 'oidf');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          for (const ref of refs.informative.oidf || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'oidf' });
-            ensureExternalNode(graph, ref, 'oidf');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          // ETSI references (less common from IETF but possible)
-          for (const ref of refs.normative.etsi || []) {
-            const targetId = normalizeDocId(ref);
-            if (targetId && targetId !== docId) {
-              graph.edges.push({ from: docId, to: targetId, type: 'normative', source: 'etsi' });
-              ensureNode(graph, targetId, 'etsi');
-              graph.nodes.get(targetId).referencedByCount++;
-            }
-          }
-          
-          for (const ref of refs.informative.etsi || []) {
-            const targetId = normalizeDocId(ref);
-            if (targetId && targetId !== docId) {
-              graph.edges.push({ from: docId, to: targetId, type: 'informative', source: 'etsi' });
-              ensureNode(graph, targetId, 'etsi');
-              graph.nodes.get(targetId).referencedByCount++;
-            }
-          }
-          
-          // ISO/W3C references
-          for (const ref of refs.normative.iso || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'iso' });
-            ensureExternalNode(graph, ref, 'iso');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          for (const ref of refs.informative.iso || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'iso' });
-            ensureExternalNode(graph, ref, 'iso');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          for (const ref of refs.normative.w3c || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'normative', source: 'w3c' });
-            ensureExternalNode(graph, ref, 'w3c');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          for (const ref of refs.informative.w3c || []) {
-            graph.edges.push({ from: docId, to: ref, type: 'informative', source: 'w3c' });
-            ensureExternalNode(graph, ref, 'w3c');
-            graph.nodes.get(ref).referencedByCount++;
-          }
-          
-          results.documents.push({
-            file: filename,
-            docId,
-            source: 'ietf',
-            normativeRefs: normativeCount,
-            informativeRefs: informativeCount,
-            totalRefs: totalCount,
-            references: refs,
-          });
-          
-          console.log(`   OK: ${normativeCount} norm, ${informativeCount} info`);
-        } else {
-          console.log(`   WARN: Could not determine doc ID`);
-        }
-        
-      } catch (error) {
-        console.log(`   ERROR: ${error.message}`);
-        results.errors.push({ file: filename, error: error.message, source: 'ietf' });
-      }
-    }
-  }
+  // Attach undated citations to the latest edition/revision and flag outdated ones
+  resolveEtsiVersions(graph);
+  resolveDraftVersions(graph);
+  resolveRfcRelations(graph, results.documents);
+  attachWorkItemInfo(graph);
+  attachArchiveAttachments(graph);
+  resolveSchemaImports(graph);
+  const cycles = findCycles(graph);
+  computeCentrality(graph);
 
   // Convert Map to array for JSON
   const graphData = {
     nodes: Array.from(graph.nodes.values()),
     edges: graph.edges,
+    cycles,
     statistics: {
       totalDocuments: graph.nodes.size,
-      totalReferences: graph.edges.length,
+      totalReferences: graph.edges.filter(e => !RFC_RELATIONS.includes(e.type) && e.type !== SCHEMA_IMPORT).length,
       normativeRefs: graph.edges.filter(e => e.type === 'normative').length,
       informativeRefs: graph.edges.filter(e => e.type === 'informative').length,
+      outdatedCitations: graph.edges.filter(e => e.outdated).length,
+      rfcRelations: {
+        obsoletes: graph.edges.filter(e => e.type === 'obsoletes').length,
+        updates: graph.edges.filter(e => e.type === 'updates').length,
+      },
+      schemaImports: graph.edges.filter(e => e.type === SCHEMA_IMPORT).length,
+      documentsCitingObsoletedRfcs: [...graph.nodes.values()].filter(n => n.citesObsoletedRfcs).length,
+      cycles: {
+        normative: cycles.filter(c => c.normative).length,
+        mixed: cycles.filter(c => !c.normative).length,
+        documents: [...graph.nodes.values()].filter(n => n.cycles).length,
+      },
       bySource: {
         etsi: graph.edges.filter(e => e.source === 'etsi').length,
         ietf: graph.edges.filter(e => e.source === 'ietf').length,
@@ -764,8 +347,11 @@ async function extractReferences() {
   const mermaid = generateMermaidGraph(graphData);
   await fs.writeFile(path.join(OUTPUT_PATH, 'references.mmd'), mermaid);
 
+  // Archive the build for the timeline
+  const snapshotDate = ARCHIVE_SNAPSHOT ? await archiveSnapshot(graphData) : null;
+
   // Generate HTML visualization
-  const html = generateHtmlVisualization(graphData);
+  const html = generateHtmlVisualization(graphData, snapshotDate, await rendererScript());
   await fs.writeFile(path.join(OUTPUT_PATH, 'index.html'), html);
 
   // Print summary
@@ -775,10 +361,15 @@ async function extractReferences() {
   const publishedCount = results.documents.length - draftCount;
   console.log(`Documents analyzed: ${results.documents.length} (${publishedCount} published, ${draftCount} drafts)`);
   console.log(`Errors: ${results.errors.length}`);
+  if (USE_CACHE) {
+    console.log(`Extraction cache: ${cacheStats.hits} unchanged, ${cacheStats.misses} parsed`);
+  }
   console.log(`Total nodes in graph: ${graphData.nodes.length}`);
   console.log(`Total edges (references): ${graphData.edges.length}`);
   console.log(`  - Normative: ${graphData.statistics.normativeRefs}`);
   console.log(`  - Informative: ${graphData.statistics.informativeRefs}`);
+  console.log(`  - RFC obsoletes/updates: ${graphData.statistics.rfcRelations.obsoletes}/${graphData.statistics.rfcRelations.updates}`);
+  console.log(`  - Schema imports: ${graphData.statistics.schemaImports}`);
   
   console.log('\nReferences by Source:');
   console.log(`  - ETSI: ${graphData.statistics.bySource.etsi} refs to ${graphData.statistics.nodesBySource.etsi} docs`);
@@ -799,6 +390,45 @@ async function extractReferences() {
     const source = node.source !== 'etsi' ? ` (${node.source.toUpperCase()})` : '';
     console.log(`   ${node.id}${source}: ${node.referencedByCount} times`);
   }
+  
+  // Documents the rest of the graph rests on: cited by well-cited documents, on many citation
+  // chains, or depended on transitively by many documents
+  const keystones = [...graphData.nodes]
+    .sort((a, b) => b.metrics.pageRank - a.metrics.pageRank)
+    .slice(0, 10);
+  console.log('\nKeystone Documents (by PageRank):');
+  for (const node of keystones) {
+    const { pageRank, betweenness, reach } = node.metrics;
+    console.log(`   ${node.id}: PageRank ${pageRank.toFixed(4)}, betweenness ${betweenness.toFixed(4)}, reach ${reach} documents`);
+  }
+
+  // Citations pinning an edition older than the latest known one
+  const outdated = graphData.edges.filter(e => e.outdated);
+  if (outdated.length > 0) {
+    console.log(`\nCitations of Outdated Editions (${outdated.length}):`);
+    for (const edge of outdated.slice(0, 15)) {
+      const latest = edge.replacedBy ? `replaced by ${edge.replacedBy}` : `latest: ${versionLabel(edge.source, edge.latestVersion)}`;
+      console.log(`   ${edge.from} -> ${edge.to} (${latest})`);
+    }
+    if (outdated.length > 15) {
+      console.log(`   ... and ${outdated.length - 15} more (see references.json)`);
+    }
+  }
+  
+  const citingObsoleted = graphData.nodes.filter(n => n.citesObsoletedRfcs);
+  if (citingObsoleted.length > 0) {
+    console.log(`\nDocuments Normatively Citing Obsoleted RFCs (${citingObsoleted.length}):`);
+    for (const node of citingObsoleted) {
+      console.log(`   ${node.id}: ${node.citesObsoletedRfcs.join(', ')}`);
+    }
+  }
+  
+  if (cycles.length > 0) {
+    console.log(`\nReference Cycles (${cycles.length}):`);
+    for (const cycle of cycles) {
+      console.log(`   #${cycle.id} ${cycle.normative ? 'normative' : 'through informative refs'}: ${cycle.specs.join(' <-> ')}`);
+    }
+  }
 
   console.log('\nOutput files:');
   console.log('   - references.json (full data)');
@@ -807,610 +437,735 @@ async function extractReferences() {
   console.log('   - index.html (interactive visualization)');
 }
 
-async function findPdfFiles(dir) {
-  const files = [];
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      files.push(...await findPdfFiles(fullPath));
-    } else if (entry.name.endsWith('.pdf')) {
-      files.push(fullPath);
+// Parse documents, sequentially in-process or across a pool of JOBS worker threads.
+// Returns a Map of file path -> { refs } or { error }
+async function parseDocuments(documents) {
+  const parsed = new Map();
+  const queue = [...documents];
+  
+  if (JOBS <= 1) {
+    for (const { source, file } of queue) {
+      try {
+        parsed.set(file, { refs: await cachedExtract(file, (filePath) => extractDocumentReferences(source, filePath)) });
+      } catch (error) {
+        parsed.set(file, { error: error.message });
+      }
     }
+    return parsed;
   }
   
-  return files.sort();
-}
-
-async function findDocxFiles(dir) {
-  const files = [];
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      files.push(...await findDocxFiles(fullPath));
-    } else if (entry.name.endsWith('.docx') || entry.name.endsWith('.doc')) {
-      files.push(fullPath);
+  const runWorker = async () => {
+    let worker = new Worker(WORKER_PATH);
+    while (queue.length > 0) {
+      const { source, file } = queue.shift();
+      try {
+        parsed.set(file, { refs: await cachedExtract(file, (filePath) => runInWorker(worker, source.name, filePath)) });
+      } catch (error) {
+        parsed.set(file, { error: error.message });
+        // A crashed worker cannot take further tasks
+        if (error.workerExited) {
+          worker = new Worker(WORKER_PATH);
+        }
+      }
     }
-  }
+    await worker.terminate();
+  };
   
-  return files.sort();
+  await Promise.all(Array.from({ length: Math.min(JOBS, queue.length) }, runWorker));
+  return parsed;
 }
 
-async function findHtmlFiles(dir) {
-  const files = [];
-  try {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        files.push(...await findHtmlFiles(fullPath));
-      } else if (entry.name.endsWith('.html') && !entry.name.startsWith('oidf_specs_summary')) {
-        files.push(fullPath);
+function runInWorker(worker, sourceName, filePath) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+    };
+    const onMessage = (message) => {
+      cleanup();
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.refs);
       }
-    }
-  } catch (e) {
-    // Directory may not exist
+    };
+    const onError = (error) => {
+      cleanup();
+      error.workerExited = true;
+      reject(error);
+    };
+    const onExit = (code) => {
+      cleanup();
+      const error = new Error(`Worker exited with code ${code}`);
+      error.workerExited = true;
+      reject(error);
+    };
+    
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+    worker.postMessage({ source: sourceName, file: filePath });
+  });
+}
+
+// Parse result for a file, rethrowing its parse error so callers can report it
+function takeParsed(parsed, filePath) {
+  const result = parsed.get(filePath);
+  if (result.error) {
+    throw new Error(result.error);
   }
-  
-  return files.sort();
+  return result.refs;
 }
 
-async function findTxtFiles(dir) {
-  const files = [];
+// Extraction results are cached per file content, so unchanged documents are not parsed again
+const cacheStats = { hits: 0, misses: 0 };
+
+async function cachedExtract(filePath, extractFn) {
+  if (!USE_CACHE) {
+    return extractFn(filePath);
+  }
+  
+  const content = await fs.readFile(filePath);
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const cacheFile = path.join(CACHE_PATH, `${hash}.json`);
+  
   try {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      if (entry.isDirectory()) {
-        files.push(...await findTxtFiles(fullPath));
-      } else if (entry.name.endsWith('.txt')) {
-        files.push(fullPath);
-      }
+    const cached = JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+    if (cached.extractorVersion === EXTRACTOR_VERSION) {
+      cacheStats.hits++;
+      return cached.refs;
     }
   } catch (e) {
-    // Directory may not exist
+    // Not cached yet (or unreadable) - parse below
   }
   
-  return files.sort();
+  const refs = await extractFn(filePath);
+  cacheStats.misses++;
+  
+  await fs.mkdir(CACHE_PATH, { recursive: true });
+  await fs.writeFile(cacheFile, JSON.stringify({
+    extractorVersion: EXTRACTOR_VERSION,
+    file: path.basename(filePath),
+    refs,
+  }));
+  
+  return refs;
 }
 
-async function extractReferencesFromDocx(docxPath) {
-  const result = await mammoth.extractRawText({ path: docxPath });
-  const text = result.value;
+// Edge attributes from body-text analysis: cited clauses and weight (number of in-body citations)
+function citationAttrs(refs, targetId) {
+  const spec = parseDocId(targetId).spec;
+  const attrs = {};
+  const clauses = refs.clauses?.[spec];
+  if (clauses?.length) attrs.clauses = clauses;
+  const weight = refs.citationCounts?.[spec];
+  if (weight !== undefined) attrs.weight = weight;
+  return attrs;
+}
 
-  // Find the References section (same logic as PDF)
-  const refsSection = extractReferencesSection(text);
-  
-  const normative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const informative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const all = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
+// Spec a document ID belongs to, without ETSI edition or draft revision
+function specKey(docId) {
+  return isInternetDraft(docId) ? parseDraftName(docId).spec : parseDocId(docId).spec;
+}
 
-  // Extract from normative section
-  if (refsSection.normative) {
-    const refs = extractAllRefs(refsSection.normative);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        normative[type]?.add(ref);
-        all[type]?.add(ref);
-      }
-    }
+function isSameSpec(a, b) {
+  return specKey(a) === specKey(b);
+}
+
+// Display form of an edition: "V1.4.1" for ETSI, "-05" for Internet-Draft revisions
+function versionLabel(source, version) {
+  return source === 'etsi' ? `V${version}` : `-${version}`;
+}
+
+// Compare dotted versions numerically: "1.10.1" > "1.9.1"
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
   }
+  return 0;
+}
 
-  // Extract from informative section
-  if (refsSection.informative) {
-    const refs = extractAllRefs(refsSection.informative);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        if (!normative[type]?.has(ref)) {
-          informative[type]?.add(ref);
-        }
-        all[type]?.add(ref);
-      }
-    }
+function isEudiCore(docId, source) {
+  return source === 'etsi'
+    ? EUDI_RELEVANT_SPECS.has(parseDocId(docId).spec)
+    : EUDI_EXTERNAL_SPECS.has(specKey(docId));
+}
+
+// Add (or attach the file to) the node of an ingested document
+function addDocumentNode(graph, source, docId, filePath) {
+  const node = graph.nodes.get(docId);
+  if (!node) {
+    graph.nodes.set(docId, {
+      id: docId,
+      type: source.nodeType(docId),
+      source: source.source,
+      ...(source.source === 'etsi' && parseDocId(docId)),
+      ...(isInternetDraft(docId) && parseDraftName(docId)),
+      path: filePath,
+      referencesCount: 0,
+      referencedByCount: 0,
+      ...(source.isDraft && { isDraft: true }),
+      isEudiCore: isEudiCore(docId, source.source),
+    });
+  } else if (!source.isDraft) {
+    // Node was created earlier as a reference target - attach the downloaded file
+    node.path = filePath;
+  } else if (!node.path || node.path.endsWith('.docx')) {
+    // Drafts never replace a downloaded published document
+    node.isDraft = true;
+    node.path = filePath;
   }
+  return graph.nodes.get(docId);
+}
+
+// Reference types in the order their edges are added
+const REFERENCE_SOURCES = ['etsi', 'ietf', 'iso', 'itu', 'w3c', 'oidf'];
 
-  // If no structured sections found, search whole document
-  const hasStructuredRefs = normative.etsi.size > 0 || informative.etsi.size > 0;
-  if (!hasStructuredRefs) {
-    const refs = extractAllRefs(text);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        all[type]?.add(ref);
+// Add the edges from an ingested document to everything it cites. In EUDI mode ETSI
+// targets must be EUDI-relevant; external targets are only restricted for EUDI-scoped
+// sources, so downloaded OIDF/IETF/W3C specs keep the references the crawler follows
+function addReferenceEdges(graph, source, docId, refs) {
+  for (const targetSource of REFERENCE_SOURCES) {
+    for (const type of ['normative', 'informative']) {
+      for (const ref of refs[type][targetSource] || []) {
+        const targetId = targetSource === 'etsi' ? normalizeDocId(ref) : ref;
+        if (!targetId || isSameSpec(targetId, docId)) continue;
+        if ((targetSource === 'etsi' || source.eudiScoped) && !isEudiRelevant(targetId, targetSource)) continue;
+        addEdge(graph, docId, targetId, type, targetSource, citationAttrs(refs, targetId));
       }
     }
   }
-
-  // Convert to arrays
-  const toArrays = (obj) => {
-    const result = {};
-    for (const [type, set] of Object.entries(obj)) {
-      result[type] = Array.from(set).sort();
-    }
-    return result;
-  };
-
-  return {
-    normative: toArrays(normative),
-    informative: toArrays(informative),
-    all: toArrays(all),
-  };
 }
 
-// Parse draft filenames like ESI-0019472-2v121v114.docx
-function docxFilenameToDocId(filename) {
-  // Format: ESI-00XXXYYY-Z... where the number encodes as 1XX YYY
-  // ESI-0019472-2 -> 19472 -> 119 472 -> TS 119 472-2
-  // ESI-0019475 -> 19475 -> 119 475 -> TS 119 475
-  // Pattern: 1XYYY where series=11X and number=YYY, OR 19XYY where series=119 and number=XYY
-  const match = filename.match(/ESI-00(\d)(\d)(\d{3})-?(\d)?/i);
-  if (match) {
-    // Decode: first two digits form the series prefix (1+digit), third digit continues series
-    // e.g., 19472 -> 1, 9, 472 -> series 119, number 472
-    const d1 = match[1]; // 1
-    const d2 = match[2]; // 9
-    const rest = match[3]; // 472
-    const part = match[4] ? `-${parseInt(match[4], 10)}` : '';
-    
-    // Series is 1XX where XX is d1+d2 (e.g., 119 from "19")
-    const series = `1${d1}${d2}`;
-    return `TS ${series} ${rest}${part}`;
+// Add a citation edge, creating the target node if needed. Edges to ETSI documents and
+// Internet-Drafts record the cited edition/revision ('latest' for undated citations)
+function addEdge(graph, from, to, type, source, attrs = {}) {
+  const edge = { from, to, type, source };
+  if (source === 'etsi') {
+    edge.citedVersion = parseDocId(to).version || 'latest';
+  } else if (isInternetDraft(to)) {
+    edge.citedVersion = parseDraftName(to).version || 'latest';
   }
-  
-  // Try other patterns
-  const match2 = filename.match(/(TS|TR|EN|ES)[\s_-]*(\d{3})[\s_-]*(\d{3})(?:[\s_-]*(\d+))?/i);
-  if (match2) {
-    const type = match2[1].toUpperCase();
-    const num1 = match2[2];
-    const num2 = match2[3];
-    const part = match2[4] ? `-${parseInt(match2[4], 10)}` : '';
-    return `${type} ${num1} ${num2}${part}`;
+  graph.edges.push({ ...edge, ...attrs });
+  
+  if (!graph.nodes.has(to)) {
+    graph.nodes.set(to, {
+      id: to,
+      type: isInternetDraft(to) ? 'I-D' : to.split(' ')[0],
+      source,
+      ...(source === 'etsi' && parseDocId(to)),
+      ...(isInternetDraft(to) && parseDraftName(to)),
+      path: null,
+      referencesCount: 0,
+      referencedByCount: 0,
+    });
   }
-  
-  return null;
+  graph.nodes.get(to).referencedByCount++;
 }
 
-// Extract references from OIDF HTML specifications
-async function extractReferencesFromHtml(htmlPath) {
-  const html = await fs.readFile(htmlPath, 'utf-8');
-  const $ = cheerio.load(html);
-  
-  // Get plain text content for regex matching
-  const text = $('body').text();
-  
-  const normative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const informative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const all = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  
-  // Try to find normative/informative references sections in HTML
-  // OpenID specs often have <section id="normative-references"> or similar
-  let normativeText = '';
-  let informativeText = '';
+// Resolve undated ETSI citations to the latest known edition of the spec and flag
+// citations that pin an edition older than the latest one. Only published editions count:
+// a docbox draft of the next edition neither supersedes the current one nor is cited by it
+function resolveEtsiVersions(graph) {
+  // Latest published edition per spec: downloaded/cited editions plus published versions from the work program
+  const latestVersions = new Map(etsiPublishedVersions);
+  for (const node of graph.nodes.values()) {
+    if (node.source !== 'etsi' || !node.version || node.isDraft) continue;
+    const latest = latestVersions.get(node.spec);
+    if (!latest || compareVersions(node.version, latest) > 0) {
+      latestVersions.set(node.spec, node.version);
+    }
+  }
   
-  // Look for section headers containing "normative" or "informative"
-  $('section, div, h2, h3').each((i, el) => {
-    const $el = $(el);
-    const id = $el.attr('id') || '';
-    const headerText = $el.find('h2, h3').first().text() || $el.text().slice(0, 100);
+  for (const edge of graph.edges) {
+    if (edge.source !== 'etsi') continue;
+    const { spec } = parseDocId(edge.to);
+    const latest = latestVersions.get(spec);
+    if (!latest) continue;
     
-    if (/normative/i.test(id) || /normative\s+ref/i.test(headerText)) {
-      normativeText = $el.text();
-    }
-    if (/informative/i.test(id) || /informative\s+ref/i.test(headerText)) {
-      informativeText = $el.text();
+    if (edge.citedVersion === 'latest') {
+      // Point undated citations at the latest edition if it is part of the graph
+      const latestId = formatDocId(spec, latest);
+      if (graph.nodes.has(latestId) && !graph.nodes.get(latestId).isDraft && edge.to !== latestId) {
+        graph.nodes.get(edge.to).referencedByCount--;
+        graph.nodes.get(latestId).referencedByCount++;
+        edge.to = latestId;
+      }
+    } else if (compareVersions(edge.citedVersion, latest) < 0) {
+      edge.outdated = true;
+      edge.latestVersion = latest;
     }
-  });
+  }
   
-  // Also check for <dl> definition lists which are common in OIDF specs
-  $('dl').each((i, dl) => {
-    const prevHeader = $(dl).prevAll('h2, h3, h4').first().text();
-    if (/normative/i.test(prevHeader)) {
-      normativeText += ' ' + $(dl).text();
-    }
-    if (/informative/i.test(prevHeader)) {
-      informativeText += ' ' + $(dl).text();
+  // Drop undated placeholder nodes that lost all their citations
+  const connected = new Set(graph.edges.flatMap(e => [e.from, e.to]));
+  for (const [id, node] of graph.nodes) {
+    if (node.source === 'etsi' && !node.path && !connected.has(id)) {
+      graph.nodes.delete(id);
     }
-  });
+  }
   
-  // Extract from normative section
-  if (normativeText) {
-    const refs = extractAllRefs(normativeText);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        normative[type]?.add(ref);
-        all[type]?.add(ref);
+  for (const node of graph.nodes.values()) {
+    if (node.source !== 'etsi') continue;
+    const latest = latestVersions.get(node.spec);
+    if (latest) {
+      node.latestVersion = latest;
+      if (node.version && compareVersions(node.version, latest) < 0) {
+        node.isOutdated = true;
       }
     }
   }
-  
-  // Extract from informative section
-  if (informativeText) {
-    const refs = extractAllRefs(informativeText);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        if (!normative[type]?.has(ref)) {
-          informative[type]?.add(ref);
-        }
-        all[type]?.add(ref);
-      }
+}
+
+// Resolve Internet-Draft citations against the datatracker status recorded by the crawler:
+// undated citations point at the latest revision, citations of older revisions or of drafts
+// that have since been published as an RFC are flagged as outdated
+function resolveDraftVersions(graph) {
+  const isDraftNode = (node) => node.source === 'ietf' && isInternetDraft(node.id);
+  
+  // Latest known revision per draft: downloaded/cited revisions plus the datatracker status
+  const latestRevisions = new Map();
+  for (const [name, status] of draftStatus) {
+    if (status.latestRevision) latestRevisions.set(name, status.latestRevision);
+  }
+  for (const node of graph.nodes.values()) {
+    if (!isDraftNode(node) || !node.version) continue;
+    const latest = latestRevisions.get(node.spec);
+    if (!latest || compareVersions(node.version, latest) > 0) {
+      latestRevisions.set(node.spec, node.version);
     }
   }
   
-  // If no structured sections found, search whole document
-  if (normative.etsi.size === 0 && normative.ietf.size === 0 && informative.etsi.size === 0) {
-    const refs = extractAllRefs(text);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        all[type]?.add(ref);
+  for (const edge of graph.edges) {
+    if (edge.source !== 'ietf' || !isInternetDraft(edge.to)) continue;
+    const { spec } = parseDraftName(edge.to);
+    const latest = latestRevisions.get(spec);
+    const rfc = draftStatus.get(spec)?.rfc;
+    
+    if (edge.citedVersion === 'latest' && latest) {
+      // Point undated citations at the latest revision if it is part of the graph
+      const latestId = formatDraftName(spec, latest);
+      if (graph.nodes.has(latestId) && edge.to !== latestId) {
+        graph.nodes.get(edge.to).referencedByCount--;
+        graph.nodes.get(latestId).referencedByCount++;
+        edge.to = latestId;
       }
     }
+    
+    if (rfc) {
+      edge.outdated = true;
+      edge.replacedBy = rfc;
+    } else if (latest && edge.citedVersion !== 'latest' && compareVersions(edge.citedVersion, latest) < 0) {
+      edge.outdated = true;
+      edge.latestVersion = latest;
+    }
   }
   
-  // Convert to arrays
-  const toArrays = (obj) => {
-    const result = {};
-    for (const [type, set] of Object.entries(obj)) {
-      result[type] = Array.from(set).sort();
+  // Drop unversioned placeholder nodes that lost all their citations
+  const connected = new Set(graph.edges.flatMap(e => [e.from, e.to]));
+  for (const [id, node] of graph.nodes) {
+    if (isDraftNode(node) && !node.path && !connected.has(id)) {
+      graph.nodes.delete(id);
     }
-    return result;
-  };
+  }
   
-  return {
-    normative: toArrays(normative),
-    informative: toArrays(informative),
-    all: toArrays(all),
-  };
-}
-
-// Get OIDF spec ID from filename
-function htmlFilenameToOidfId(filename) {
-  // filename format: OpenID4VP.html, OpenID_Connect_Core.html, SD-JWT.html
-  const base = path.basename(filename, '.html');
-  return base.replace(/_/g, ' ');
-}
-
-// Get RFC ID from filename
-function txtFilenameToRfcId(filename) {
-  // filename format: rfc7515.txt
-  const match = filename.match(/rfc(\d+)\.txt/i);
-  if (match) {
-    return `RFC ${match[1]}`;
+  for (const node of graph.nodes.values()) {
+    if (!isDraftNode(node)) continue;
+    const latest = latestRevisions.get(node.spec);
+    const { rfc, expires } = draftStatus.get(node.spec) || {};
+    if (latest) {
+      node.latestVersion = latest;
+    }
+    if (expires) {
+      node.expires = expires;
+    }
+    if (rfc) {
+      node.replacedBy = rfc;
+      node.isOutdated = true;
+    } else if (latest && node.version && compareVersions(node.version, latest) < 0) {
+      node.isOutdated = true;
+    }
   }
-  return null;
 }
 
-// Extract references from IETF RFC text files
-async function extractReferencesFromTxt(txtPath) {
-  const text = await fs.readFile(txtPath, 'utf-8');
-  
-  const normative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const informative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const all = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  
-  // IETF RFCs have sections like "Normative References" and "Informative References"
-  // Usually numbered like "7.1. Normative References" or "8. References"
-  const normativeMatch = text.match(/(?:Normative\s+References|NORMATIVE\s+REFERENCES)\s*\n([\s\S]*?)(?=\n\s*(?:\d+\.?\s*(?:Informative|Non-Normative)|Informative\s+References|INFORMATIVE|Appendix|Author|Acknowledgment|$))/i);
-  const informativeMatch = text.match(/(?:Informative\s+References|INFORMATIVE\s+REFERENCES|Non-Normative\s+References)\s*\n([\s\S]*?)(?=\n\s*(?:\d+\.?\s+[A-Z]|Appendix|Author|Acknowledgment|$))/i);
-  
-  // Extract from normative section
-  if (normativeMatch) {
-    const refs = extractAllRefs(normativeMatch[1]);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        normative[type]?.add(ref);
-        all[type]?.add(ref);
-      }
-    }
-  }
-  
-  // Extract from informative section
-  if (informativeMatch) {
-    const refs = extractAllRefs(informativeMatch[1]);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        if (!normative[type]?.has(ref)) {
-          informative[type]?.add(ref);
+// RFC header relations between RFCs ("Obsoletes: 3280", "Updates: 5280"). Edges are only
+// added between RFCs in the graph; citations of an obsoleted RFC are flagged as outdated and
+// non-IETF documents citing one normatively get citesObsoletedRfcs
+const RFC_RELATIONS = ['obsoletes', 'updates'];
+
+function resolveRfcRelations(graph, documents) {
+  const obsoletedBy = new Map();
+  const updatedBy = new Map();
+  for (const node of graph.nodes.values()) {
+    for (const relation of RFC_RELATIONS) {
+      for (const target of node[relation] || []) {
+        const inverse = relation === 'obsoletes' ? obsoletedBy : updatedBy;
+        if (!inverse.has(target)) inverse.set(target, []);
+        inverse.get(target).push(node.id);
+        
+        if (graph.nodes.has(target)) {
+          graph.edges.push({ from: node.id, to: target, type: relation, source: 'ietf' });
         }
-        all[type]?.add(ref);
       }
     }
   }
   
-  // If no structured sections found, search whole document
-  if (normative.ietf.size === 0 && informative.ietf.size === 0) {
-    const refs = extractAllRefs(text);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        all[type]?.add(ref);
-      }
-    }
+  for (const [id, rfcs] of obsoletedBy) {
+    const node = graph.nodes.get(id);
+    if (!node) continue;
+    node.obsoletedBy = rfcs;
+    node.replacedBy = rfcs.join(', ');
+    node.isOutdated = true;
+  }
+  for (const [id, rfcs] of updatedBy) {
+    const node = graph.nodes.get(id);
+    if (node) node.updatedBy = rfcs;
   }
   
-  // Convert to arrays
-  const toArrays = (obj) => {
-    const result = {};
-    for (const [type, set] of Object.entries(obj)) {
-      result[type] = Array.from(set).sort();
-    }
-    return result;
-  };
+  for (const edge of graph.edges) {
+    if (RFC_RELATIONS.includes(edge.type) || !obsoletedBy.has(edge.to)) continue;
+    edge.outdated = true;
+    edge.replacedBy = obsoletedBy.get(edge.to).join(', ');
+  }
   
-  return {
-    normative: toArrays(normative),
-    informative: toArrays(informative),
-    all: toArrays(all),
-  };
+  // Taken from the extracted references rather than the edges, so RFCs outside the EUDI list
+  // (which get no edge in EUDI mode) are flagged too
+  for (const doc of documents) {
+    if (doc.source === 'ietf') continue;
+    const obsoleted = doc.references.normative.ietf.filter(ref => obsoletedBy.has(ref));
+    if (obsoleted.length === 0) continue;
+    const node = graph.nodes.get(doc.docId);
+    node.citesObsoletedRfcs = [...new Set([...(node.citesObsoletedRfcs || []), ...obsoleted])];
+  }
 }
 
-async function extractReferencesFromPdf(pdfPath) {
-  const dataBuffer = await fs.readFile(pdfPath);
-  const data = await pdfParse(dataBuffer);
-  const text = data.text;
-
-  // Find the References section
-  const refsSection = extractReferencesSection(text);
-  
-  const normative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const informative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-  const all = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
-
-  // Extract from normative section
-  if (refsSection.normative) {
-    const refs = extractAllRefs(refsSection.normative);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        normative[type]?.add(ref);
-        all[type]?.add(ref);
-      }
-    }
+// Title, owner (rapporteur, technical body) and scope of ETSI specs from the work program
+function attachWorkItemInfo(graph) {
+  for (const node of graph.nodes.values()) {
+    if (node.source !== 'etsi') continue;
+    Object.assign(node, etsiWorkItemInfo.get(node.spec));
   }
+}
 
-  // Extract from informative section
-  if (refsSection.informative) {
-    const refs = extractAllRefs(refsSection.informative);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        if (!normative[type]?.has(ref)) {
-          informative[type]?.add(ref);
-        }
-        all[type]?.add(ref);
-      }
+// Attachments of specs delivered as ZIP archives, with paths relative to downloads/
+function attachArchiveAttachments(graph) {
+  for (const node of graph.nodes.values()) {
+    const attachments = node.path && archiveAttachments.get(node.path);
+    if (attachments) {
+      node.attachments = attachments.map(a => ({
+        file: `attachments/${a.file}`,
+        kind: a.kind,
+        ...(a.defines?.length && { defines: a.defines.map(d => d.name) }),
+        ...(a.imports?.length && { imports: a.imports }),
+      }));
     }
   }
+}
 
-  // If no structured sections found, search whole document for ETSI only
-  const hasStructuredRefs = normative.etsi.size > 0 || informative.etsi.size > 0;
-  if (!hasStructuredRefs) {
-    const refs = extractAllRefs(text);
-    for (const [type, set] of Object.entries(refs)) {
-      for (const ref of set) {
-        all[type]?.add(ref);
-      }
+// Edge type for schemas importing definitions of another spec: XSD import/include,
+// ASN.1 IMPORTS and JSON Schema/OpenAPI $ref between the attachments of deliverables
+const SCHEMA_IMPORT = 'imports';
+
+// Resolve the imports of indexed attachments to the spec defining the namespace, module,
+// schema ID or file, and add one edge per pair of specs listing what is imported. Like the
+// RFC relations these are not citations, so they only link nodes already in the graph
+function resolveSchemaImports(graph) {
+  const definedBy = new Map();
+  for (const node of graph.nodes.values()) {
+    for (const attachment of node.attachments || []) {
+      for (const name of attachment.defines || []) definedBy.set(name, node.id);
+      if (attachment.defines || attachment.imports) definedBy.set(fileKey(attachment.file), node.id);
     }
   }
-
-  // Convert to arrays
-  const toArrays = (obj) => {
-    const result = {};
-    for (const [type, set] of Object.entries(obj)) {
-      result[type] = Array.from(set).sort();
+  
+  const edges = new Map();
+  for (const node of graph.nodes.values()) {
+    for (const attachment of node.attachments || []) {
+      for (const imported of attachment.imports || []) {
+        const keys = imported.type === 'namespace' || imported.type === 'module'
+          ? [imported.name, ...(imported.location ? [fileKey(imported.location)] : [])]
+          : [imported.name, fileKey(imported.name)];
+        const targetId = keys.map(key => definedBy.get(key)).find(Boolean)
+          || findSpecNode(graph, KNOWN_DEFINITIONS.get(imported.name));
+        if (!targetId || isSameSpec(targetId, node.id)) continue;
+        
+        const key = `${node.id}\t${targetId}`;
+        if (!edges.has(key)) {
+          const edge = { from: node.id, to: targetId, type: SCHEMA_IMPORT, source: graph.nodes.get(targetId).source, schemas: [] };
+          edges.set(key, edge);
+          graph.edges.push(edge);
+        }
+        const schemas = edges.get(key).schemas;
+        if (!schemas.includes(imported.name)) schemas.push(imported.name);
+      }
     }
-    return result;
-  };
+  }
+}
 
-  return {
-    normative: toArrays(normative),
-    informative: toArrays(informative),
-    all: toArrays(all),
-  };
+// Graph node of a spec given without edition: the node itself, otherwise the downloaded
+// (or else latest) edition of an ETSI spec
+function findSpecNode(graph, id) {
+  if (!id) return null;
+  if (graph.nodes.has(id)) return id;
+  const editions = [...graph.nodes.values()]
+    .filter(n => n.source === 'etsi' && n.spec === id)
+    .sort((a, b) => (b.path ? 1 : 0) - (a.path ? 1 : 0) || compareVersions(b.version || '0', a.version || '0'));
+  return editions[0]?.id || null;
 }
 
-function extractReferencesSection(text) {
-  const result = { normative: null, informative: null };
-  
-  // Common section patterns
-  const normativePatterns = [
-    /(?:^|\n)\s*2\.?1?\s*Normative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:2\.?2|3|Informative|Definition|Terms|Abbreviation))/i,
-    /(?:^|\n)\s*Normative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:Informative|Definition|Terms|Abbreviation|\d+\s+[A-Z]))/i,
-  ];
-  
-  const informativePatterns = [
-    /(?:^|\n)\s*2\.?2?\s*Informative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:3|Definition|Terms|Abbreviation|\d+\s+[A-Z]))/i,
-    /(?:^|\n)\s*Informative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:Definition|Terms|Abbreviation|\d+\s+[A-Z]))/i,
-  ];
-  
-  for (const pattern of normativePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      result.normative = match[1];
-      break;
-    }
+// Circular citations: strongly connected components of the citation graph between specs
+// (editions and draft revisions taken together, so EN 319 401 citing EN 319 411-1 V1.3.1 and
+// EN 319 411-1 V1.4.1 citing EN 319 401 is a cycle). Components of the normative references
+// alone are listed first; components that only close through an informative reference follow
+// (normative: false) and may contain a normative one. Each citation inside a cycle gets the ID
+// of that cycle in edge.cycle, and the documents it links the IDs of their cycles in node.cycles
+function findCycles(graph) {
+  const citations = graph.edges.filter(e => e.type === 'normative' || e.type === 'informative');
+  const specEdges = citations.map(e => ({ from: specKey(e.from), to: specKey(e.to), type: e.type }));
+  const specs = [...new Set([...graph.nodes.keys()].map(specKey))];
+  const normative = stronglyConnectedComponents(specs, specEdges.filter(e => e.type === 'normative'));
+  const normativeKeys = new Set(normative.map(c => c.join('\t')));
+  const mixed = stronglyConnectedComponents(specs, specEdges).filter(c => !normativeKeys.has(c.join('\t')));
+  
+  const bySize = (a, b) => b.length - a.length || a[0].localeCompare(b[0]);
+  const cycles = [
+    ...normative.sort(bySize).map(members => ({ normative: true, specs: members, nodes: new Set() })),
+    ...mixed.sort(bySize).map(members => ({ normative: false, specs: members, nodes: new Set() })),
+  ].map((cycle, i) => ({ id: i + 1, ...cycle }));
+  
+  const cycleOf = (spec, isNormative) => cycles.find(c => c.normative === isNormative && c.specs.includes(spec));
+  for (const edge of citations) {
+    // Normative citations belong to the normative cycle, informative ones to the enclosing one
+    const [from, to] = [specKey(edge.from), specKey(edge.to)];
+    const order = edge.type === 'normative' ? [true, false] : [false, true];
+    const cycle = order.map(isNormative => cycleOf(from, isNormative)).find(c => c?.specs.includes(to));
+    if (!cycle) continue;
+    edge.cycle = cycle.id;
+    cycle.nodes.add(edge.from).add(edge.to);
   }
   
-  for (const pattern of informativePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      result.informative = match[1];
-      break;
+  for (const cycle of cycles) {
+    cycle.nodes = [...cycle.nodes].sort();
+    for (const id of cycle.nodes) {
+      const node = graph.nodes.get(id);
+      node.cycles = [...new Set([...(node.cycles || []), cycle.id])];
     }
   }
-  
-  return result;
+  return cycles;
 }
 
-function extractAllRefs(text) {
-  const refs = {
-    etsi: new Set(),
-    ietf: new Set(),
-    iso: new Set(),
-    itu: new Set(),
-    w3c: new Set(),
-    oidf: new Set(),
-    cen: new Set(),
-  };
-  
-  // Extract ETSI refs
-  for (const pattern of REF_PATTERNS.etsi) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const type = match[1].toUpperCase();
-      const number = match[2].replace(/\s+/g, ' ').trim();
-      refs.etsi.add(`${type} ${number}`);
-    }
+// Centrality of every document in the citation graph (normative and informative references),
+// stored in node.metrics:
+//   - pageRank: importance passed on by citing documents (well-cited documents citing a
+//     document count more than many obscure ones)
+//   - betweenness: share of shortest citation chains between other documents passing through it
+//   - inNormative/inInformative, outNormative/outInformative: citations received and made
+//   - reach: number of documents depending on it directly or transitively
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 100;
+
+function computeCentrality(graph) {
+  const ids = [...graph.nodes.keys()];
+  const citations = graph.edges.filter(e => e.type === 'normative' || e.type === 'informative');
+  const cites = new Map(ids.map(id => [id, new Set()]));
+  const citedBy = new Map(ids.map(id => [id, new Set()]));
+  for (const edge of citations) {
+    cites.get(edge.from).add(edge.to);
+    citedBy.get(edge.to).add(edge.from);
   }
   
-  // Extract IETF RFCs
-  for (const pattern of REF_PATTERNS.ietf) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      refs.ietf.add(`RFC ${match[1]}`);
-    }
+  const pageRank = computePageRank(ids, cites);
+  const betweenness = computeBetweenness(ids, cites);
+  const count = (id, end, type) => citations.filter(e => e[end] === id && e.type === type).length;
+  const round = (value) => Number(value.toFixed(6));
+  
+  for (const [id, node] of graph.nodes) {
+    node.metrics = {
+      pageRank: round(pageRank.get(id)),
+      betweenness: round(betweenness.get(id)),
+      inNormative: count(id, 'to', 'normative'),
+      inInformative: count(id, 'to', 'informative'),
+      outNormative: count(id, 'from', 'normative'),
+      outInformative: count(id, 'from', 'informative'),
+      reach: reachable(id, citedBy),
+    };
   }
-  
-  // Extract ISO/IEC
-  for (const pattern of REF_PATTERNS.iso) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const num = match[1].replace(/[–]/g, '-');
-      refs.iso.add(`ISO ${num}`);
+}
+
+// PageRank by power iteration; the rank of documents citing nothing is spread over all documents
+function computePageRank(ids, cites) {
+  const n = ids.length;
+  let rank = new Map(ids.map(id => [id, 1 / n]));
+  for (let i = 0; i < PAGERANK_ITERATIONS; i++) {
+    const dangling = ids.filter(id => cites.get(id).size === 0).reduce((sum, id) => sum + rank.get(id), 0);
+    const next = new Map(ids.map(id => [id, (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * dangling / n]));
+    for (const id of ids) {
+      for (const target of cites.get(id)) {
+        next.set(target, next.get(target) + PAGERANK_DAMPING * rank.get(id) / cites.get(id).size);
+      }
     }
+    const change = ids.reduce((sum, id) => sum + Math.abs(next.get(id) - rank.get(id)), 0);
+    rank = next;
+    if (change < 1e-10) break;
   }
-  
-  // Extract ITU-T
-  for (const pattern of REF_PATTERNS.itu) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const rec = match[1].replace(/\s+/g, '').replace(/\./g, '');
-      refs.itu.add(`ITU-T ${rec}`);
+  return rank;
+}
+
+// Brandes' algorithm for directed unweighted graphs, normalized to 0..1
+function computeBetweenness(ids, cites) {
+  const betweenness = new Map(ids.map(id => [id, 0]));
+  for (const source of ids) {
+    const order = [];
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const paths = new Map([[source, 1]]);
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      for (const target of cites.get(id)) {
+        if (!distance.has(target)) {
+          distance.set(target, distance.get(id) + 1);
+          queue.push(target);
+        }
+        if (distance.get(target) === distance.get(id) + 1) {
+          paths.set(target, (paths.get(target) || 0) + paths.get(id));
+          predecessors.get(target).push(id);
+        }
+      }
     }
-  }
-  
-  // Extract W3C
-  for (const pattern of REF_PATTERNS.w3c) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      if (match[1].toLowerCase() !== 'technical' && match[1].toLowerCase() !== 'recommendation') {
-        refs.w3c.add(`W3C ${match[1]}`);
+    
+    const dependency = new Map();
+    while (order.length > 0) {
+      const id = order.pop();
+      for (const predecessor of predecessors.get(id)) {
+        const share = paths.get(predecessor) / paths.get(id) * (1 + (dependency.get(id) || 0));
+        dependency.set(predecessor, (dependency.get(predecessor) || 0) + share);
       }
+      if (id !== source) betweenness.set(id, betweenness.get(id) + (dependency.get(id) || 0));
     }
   }
   
-  // Extract OIDF (OpenID Foundation)
-  for (const pattern of REF_PATTERNS.oidf) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      let spec = match[0].trim();
-      // Normalize common variations
-      if (/OpenID4VP/i.test(spec)) spec = 'OpenID4VP';
-      else if (/OpenID4VCI/i.test(spec)) spec = 'OpenID4VCI';
-      else if (/OpenID4VC-HAIP|OpenID4VC HAIP/i.test(spec)) spec = 'OpenID4VC-HAIP';
-      else if (/OpenID4VC/i.test(spec)) spec = 'OpenID4VC';
-      else if (/OpenID\s+(for\s+)?Verifiable\s+Presentation/i.test(spec)) spec = 'OpenID4VP';
-      else if (/OpenID\s+(for\s+)?Verifiable\s+Credential/i.test(spec)) spec = 'OpenID4VCI';
-      else if (/OpenID\s+Connect/i.test(spec)) spec = 'OpenID Connect';
-      else if (/SD-JWT\s*VC/i.test(spec)) spec = 'SD-JWT VC';
-      else if (/SD-JWT/i.test(spec)) spec = 'SD-JWT';
-      else if (/^HAIP$/i.test(spec)) spec = 'HAIP';
-      refs.oidf.add(spec);
-    }
+  const pairs = (ids.length - 1) * (ids.length - 2);
+  if (pairs > 0) {
+    for (const id of ids) betweenness.set(id, betweenness.get(id) / pairs);
   }
-  
-  return refs;
+  return betweenness;
 }
 
-function extractEtsiRefs(text) {
-  const refs = new Set();
-  
-  for (const pattern of REF_PATTERNS.etsi) {
-    pattern.lastIndex = 0; // Reset regex
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const type = match[1].toUpperCase();
-      const number = match[2].replace(/\s+/g, ' ').trim();
-      refs.add(`${type} ${number}`);
+// Number of documents from which the given one is reachable along the edges of citedBy
+function reachable(id, citedBy) {
+  const seen = new Set([id]);
+  const queue = [id];
+  while (queue.length > 0) {
+    for (const citing of citedBy.get(queue.shift())) {
+      if (!seen.has(citing)) {
+        seen.add(citing);
+        queue.push(citing);
+      }
     }
   }
-  
-  return refs;
+  return seen.size - 1;
 }
 
-function filenameToDocId(filename) {
-  // Parse filenames like: en_319403v020202p.pdf, ts_11910201v010201p.pdf
-  const match = filename.match(/^(en|ts|tr|es|eg|sr)_(\d+)(?:v\d+)?/i);
-  if (match) {
-    const type = match[1].toUpperCase();
-    let num = match[2];
-    
-    // Convert number format: 319403 -> 319 403, 11910201 -> 119 102-01
-    if (num.length === 6) {
-      // Simple: 319403 -> 319 403
-      return `${type} ${num.slice(0, 3)} ${num.slice(3)}`;
-    } else if (num.length === 8) {
-      // With part: 11910201 -> 119 102-1
-      const part = parseInt(num.slice(6), 10);
-      return `${type} ${num.slice(0, 3)} ${num.slice(3, 6)}-${part}`;
-    } else if (num.length === 9) {
-      // With part: 119102010 -> 119 102-10 (double digit part)
-      const part = parseInt(num.slice(6), 10);
-      return `${type} ${num.slice(0, 3)} ${num.slice(3, 6)}-${part}`;
-    }
-    
-    return `${type} ${num}`;
+// Tarjan's algorithm; returns the components with more than one node, members sorted
+function stronglyConnectedComponents(ids, edges) {
+  const next = new Map();
+  for (const edge of edges) {
+    if (!next.has(edge.from)) next.set(edge.from, []);
+    next.get(edge.from).push(edge.to);
   }
-  return null;
-}
-
-function normalizeDocId(ref) {
-  if (!ref) return null;
-  
-  // Normalize: "EN 319 412-1" format
-  const match = ref.match(/(EN|TS|TR|ES|EG|SR)\s*(\d{3})\s*(\d{3})(?:-(\d+))?/i);
-  if (match) {
-    const type = match[1].toUpperCase();
-    const num1 = match[2];
-    const num2 = match[3];
-    const part = match[4] ? `-${parseInt(match[4], 10)}` : '';
-    return `${type} ${num1} ${num2}${part}`;
+  
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  const visit = (id) => {
+    index.set(id, index.size);
+    lowLink.set(id, index.get(id));
+    stack.push(id);
+    onStack.add(id);
+    for (const to of next.get(id) || []) {
+      if (!index.has(to)) {
+        visit(to);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(to)));
+      } else if (onStack.has(to)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(to)));
+      }
+    }
+    if (lowLink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1) components.push(component.sort());
+    }
+  };
+  for (const id of ids) {
+    if (!index.has(id)) visit(id);
   }
-  return null;
+  return components;
 }
 
-function ensureNode(graph, docId, source = 'etsi') {
-  if (!graph.nodes.has(docId)) {
-    graph.nodes.set(docId, {
-      id: docId,
-      type: docId.split(' ')[0],
-      source: source,
-      path: null,
-      referencesCount: 0,
-      referencedByCount: 0,
-    });
-  }
-}
+// Builds with different flags produce different graphs, so each mode has its own snapshot store
+const SNAPSHOT_MODE = `${EUDI_MODE ? 'eudi' : 'all'}${INCLUDE_DRAFTS ? '-drafts' : ''}`;
 
-function ensureExternalNode(graph, ref, source) {
-  if (!graph.nodes.has(ref)) {
-    graph.nodes.set(ref, {
-      id: ref,
-      type: ref.split(' ')[0],
-      source: source,
-      path: null,
-      referencesCount: 0,
-      referencedByCount: 0,
-    });
+// Archive the graph as a dated snapshot (one per day, a rebuild replaces that day's snapshot)
+// in downloads/snapshots/<mode>/, listed in index.json for the timeline. Builds that did not
+// change the graph since the previous snapshot are not archived. Returns the date of the
+// snapshot matching this build
+async function archiveSnapshot(graphData) {
+  const dir = path.join(SNAPSHOTS_PATH, SNAPSHOT_MODE);
+  const indexPath = path.join(dir, 'index.json');
+  const date = new Date().toISOString().slice(0, 10);
+  const file = `${date}.json`;
+  
+  let index = { snapshots: [] };
+  try {
+    index = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+  } catch (e) {
+    // First snapshot of this mode
   }
+  index.snapshots = index.snapshots.filter(s => s.date !== date);
+  
+  const snapshot = JSON.stringify({ nodes: graphData.nodes, edges: graphData.edges });
+  const previous = index.snapshots[index.snapshots.length - 1];
+  let unchanged = false;
+  if (previous) {
+    try {
+      const { nodes, edges } = JSON.parse(await fs.readFile(path.join(dir, previous.file), 'utf-8'));
+      unchanged = JSON.stringify({ nodes, edges }) === snapshot;
+    } catch (e) {
+      // Previous snapshot missing - archive this one
+    }
+  }
+  
+  await fs.mkdir(dir, { recursive: true });
+  if (unchanged) {
+    await fs.rm(path.join(dir, file), { force: true });
+    console.log(`\nGraph unchanged since snapshot ${previous.date} - not archived`);
+  } else {
+    await fs.writeFile(path.join(dir, file), JSON.stringify({ date, mode: SNAPSHOT_MODE, nodes: graphData.nodes, edges: graphData.edges }));
+    index.snapshots.push({ date, file, documents: graphData.nodes.length, references: graphData.statistics.totalReferences });
+    console.log(`\nArchived snapshot ${SNAPSHOT_MODE}/${file} (${index.snapshots.length} in timeline)`);
+  }
+  
+  index.snapshots.sort((a, b) => a.date.localeCompare(b.date));
+  await fs.writeFile(indexPath, JSON.stringify({ mode: SNAPSHOT_MODE, snapshots: index.snapshots }, null, 2));
+  return unchanged ? previous.date : date;
 }
 
+// Highlight of documents and citations in reference cycles (DOT output and index.html)
+const CYCLE_COLOR = '#C51162';
+
 function generateDotGraph(graphData) {
   const lines = [
     'digraph ETSIReferences {',
@@ -1433,8 +1188,17 @@ function generateDotGraph(graphData) {
   for (const node of graphData.nodes) {
     const color = typeColors[node.type] || '#CCCCCC';
     const label = node.id.replace(/ /g, '\\n');
-    const penwidth = node.path ? 2 : 1; // Downloaded docs have thicker border
-    lines.push(`  "${node.id}" [label="${label}", fillcolor="${color}", penwidth=${penwidth}];`);
+    const penwidth = node.cycles ? 3 : (node.path ? 2 : 1); // Downloaded docs have thicker border
+    const border = node.cycles ? `, color="${CYCLE_COLOR}"` : '';
+    lines.push(`  "${node.id}" [label="${label}", fillcolor="${color}", penwidth=${penwidth}${border}];`);
+  }
+  
+  if (graphData.cycles.length > 0) {
+    lines.push('');
+    lines.push('  // Reference cycles (highlighted)');
+    for (const cycle of graphData.cycles) {
+      lines.push(`  // #${cycle.id} ${cycle.normative ? 'normative' : 'through informative refs'}: ${cycle.specs.join(', ')}`);
+    }
   }
   
   lines.push('');
@@ -1442,8 +1206,20 @@ function generateDotGraph(graphData) {
   
   // Add edges
   for (const edge of graphData.edges) {
+    if (RFC_RELATIONS.includes(edge.type)) {
+      lines.push(`  "${edge.from}" -> "${edge.to}" [style=dotted, color="#7B1FA2", label="${edge.type}"];`);
+      continue;
+    }
+    if (edge.type === SCHEMA_IMPORT) {
+      lines.push(`  "${edge.from}" -> "${edge.to}" [style=dashed, color="#00897B", label="imports"];`);
+      continue;
+    }
     const style = edge.type === 'normative' ? 'solid' : 'dashed';
-    const color = edge.type === 'normative' ? '#333333' : '#999999';
+    if (edge.cycle) {
+      lines.push(`  "${edge.from}" -> "${edge.to}" [style=${style}, color="${CYCLE_COLOR}", penwidth=2];`);
+      continue;
+    }
+    const color = edge.outdated ? '#F44336' : (edge.type === 'normative' ? '#333333' : '#999999');
     lines.push(`  "${edge.from}" -> "${edge.to}" [style=${style}, color="${color}"];`);
   }
   
@@ -1482,7 +1258,7 @@ function generateMermaidGraph(graphData) {
     const toId = edge.to.replace(/ /g, '_').replace(/-/g, '_');
     const fromLabel = edge.from;
     const toLabel = edge.to;
-    const arrow = edge.type === 'normative' ? '-->' : '-.->';
+    const arrow = RFC_RELATIONS.includes(edge.type) || edge.type === SCHEMA_IMPORT ? `-. ${edge.type} .->` : (edge.type === 'normative' ? '-->' : '-.->');
     lines.push(`  ${fromId}["${fromLabel}"] ${arrow} ${toId}["${toLabel}"]`);
   }
   
@@ -1499,7 +1275,34 @@ function generateMermaidGraph(graphData) {
   return lines.join('\n');
 }
 
-function generateHtmlVisualization(graphData) {
+// vis-network renderer: loaded from unpkg, or with --offline inlined from node_modules so the
+// page is a single self-contained file that works from file:// without network access
+const VIS_NETWORK_CDN = 'https://unpkg.com/vis-network/standalone/umd/vis-network.min.js';
+const VIS_NETWORK_BUNDLE = 'vis-network/standalone/umd/vis-network.min.js';
+
+async function rendererScript() {
+  if (!OFFLINE) return `<script src="${VIS_NETWORK_CDN}"></script>`;
+  let bundlePath;
+  try {
+    bundlePath = createRequire(import.meta.url).resolve(VIS_NETWORK_BUNDLE);
+  } catch (e) {
+    throw new Error('--offline needs the vis-network package - run npm install');
+  }
+  const bundle = await fs.readFile(bundlePath, 'utf-8');
+  return `<script>${bundle.replace(/<\/script/gi, '<\\/script')}</script>`;
+}
+
+// JSON inlined into a <script> element: "</script>" in a title or scope must not end it
+function inlineJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Scraped text placed into the page markup
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function generateHtmlVisualization(graphData, snapshotDate, renderer) {
   const title = EUDI_MODE ? 'EUDI Nexus - Wallet Ecosystem Standards' : 'ETSI ESI Reference Graph';
   const subtitle = EUDI_MODE 
     ? 'Interactive map of ETSI ESI standards for the European Digital Identity Wallet' 
@@ -1512,7 +1315,7 @@ function generateHtmlVisualization(graphData) {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <meta name="description" content="${subtitle}">
-  <script src="https://unpkg.com/vis-network/standalone/umd/vis-network.min.js"></script>
+  ${renderer}
   <style>
     body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #fafafa; }
     h1 { margin-top: 0; color: #1a237e; }
@@ -1528,11 +1331,29 @@ function generateHtmlVisualization(graphData) {
     .controls { margin-bottom: 15px; background: #fff; padding: 15px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
     .controls label { margin-right: 15px; cursor: pointer; }
     #info { margin-top: 15px; padding: 15px; background: #fff; border-radius: 8px; display: none; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+    #info details { margin: 4px 0 4px 15px; font-size: 14px; }
+    #info summary { cursor: pointer; }
     .mode-badge { display: inline-block; background: #1a237e; color: white; padding: 4px 12px; border-radius: 12px; font-size: 12px; margin-left: 10px; vertical-align: middle; }
     .search-container { display: inline-flex; align-items: center; gap: 10px; margin-left: 20px; }
+    .metrics { display: block; margin-top: 10px; }
+    .metrics select { padding: 4px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 14px; }
+    #colorScale { display: none; font-size: 12px; color: #666; }
+    #colorScale span { display: inline-block; width: 80px; height: 10px; vertical-align: middle; background: linear-gradient(to right, rgb(255,243,224), rgb(183,28,28)); }
+    #cycleSearch { padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px; max-width: 300px; font-size: 14px; }
     #nodeSearch { padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px; min-width: 250px; font-size: 14px; }
     #resetView { padding: 6px 12px; background: #1a237e; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 14px; }
     #resetView:hover { background: #0d1454; }
+    .timeline { display: none; align-items: center; gap: 10px; margin-bottom: 15px; background: #fff; padding: 10px 15px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); font-size: 14px; }
+    #timelineSlider { flex: 1; }
+    #timelinePlay { padding: 4px 10px; background: #1a237e; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .paths { margin-bottom: 15px; background: #fff; padding: 10px 15px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); font-size: 14px; }
+    .paths select { padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px; min-width: 200px; font-size: 14px; }
+    .paths label { margin-left: 10px; cursor: pointer; }
+    #pathMaxLength { width: 45px; }
+    .paths button { padding: 6px 12px; background: #1a237e; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 14px; margin-left: 10px; }
+    #pathResults { margin-top: 8px; }
+    #pathResults li { cursor: pointer; padding: 2px 0; }
+    #pathResults li:hover, #pathResults li.selected { background: #FFF8E1; }
     footer { margin-top: 20px; text-align: center; color: #666; font-size: 12px; }
     footer a { color: #1a237e; }
   </style>
@@ -1547,7 +1368,7 @@ function generateHtmlVisualization(graphData) {
       <div class="stat-label">Documents</div>
     </div>
     <div class="stat">
-      <div class="stat-value">${graphData.edges.length}</div>
+      <div class="stat-value">${graphData.statistics.totalReferences}</div>
       <div class="stat-label">References</div>
     </div>
     <div class="stat">
@@ -1558,6 +1379,18 @@ function generateHtmlVisualization(graphData) {
       <div class="stat-value">${graphData.statistics.informativeRefs}</div>
       <div class="stat-label">Informative</div>
     </div>
+    <div class="stat">
+      <div class="stat-value">${graphData.statistics.outdatedCitations}</div>
+      <div class="stat-label">Outdated Editions Cited</div>
+    </div>
+    <div class="stat">
+      <div class="stat-value">${graphData.statistics.documentsCitingObsoletedRfcs}</div>
+      <div class="stat-label">Docs Citing Obsoleted RFCs</div>
+    </div>
+    <div class="stat">
+      <div class="stat-value">${graphData.statistics.cycles.normative}</div>
+      <div class="stat-label">Normative Reference Cycles</div>
+    </div>
   </div>
   
   <div class="legend">
@@ -1572,6 +1405,11 @@ function generateHtmlVisualization(graphData) {
     <div class="legend-item"><div class="legend-color" style="border:2px dashed #333; background:transparent"></div> Draft Document</div>
     <div class="legend-item"><span style="display:inline-block;width:30px;height:2px;background:#333;vertical-align:middle"></span> Normative</div>
     <div class="legend-item"><span style="display:inline-block;width:30px;border-top:2px dashed #999;vertical-align:middle"></span> Informative</div>
+    <div class="legend-item"><span style="display:inline-block;width:30px;height:2px;background:#F44336;vertical-align:middle"></span> Cites outdated edition or draft</div>
+    <div class="legend-item"><span style="display:inline-block;width:30px;height:5px;background:#666;vertical-align:middle"></span> Thicker = cited more often in the body</div>
+    <div class="legend-item"><span style="display:inline-block;width:30px;border-top:2px dotted #7B1FA2;vertical-align:middle"></span> RFC obsoletes/updates</div>
+    <div class="legend-item"><span style="display:inline-block;width:30px;border-top:2px dashed #00897B;vertical-align:middle"></span> Schema imports (XSD, ASN.1, JSON)</div>
+    <div class="legend-item"><div class="legend-color" style="border:3px solid ${CYCLE_COLOR}; background:transparent"></div><span style="display:inline-block;width:30px;height:3px;background:${CYCLE_COLOR};vertical-align:middle"></span> Reference cycle</div>
   </div>
   
   <div class="controls">
@@ -1580,6 +1418,17 @@ function generateHtmlVisualization(graphData) {
     <label><input type="checkbox" id="showExternal" checked> External standards (IETF, ISO, ITU, OIDF)</label>
     <label><input type="checkbox" id="showDrafts" checked> Draft documents</label>
     <label><input type="checkbox" id="showUndownloaded"> ETSI docs not downloaded</label>
+    <label><input type="checkbox" id="showRfcRelations" checked> RFC obsoletes/updates</label>
+    <label><input type="checkbox" id="showSchemaImports" checked> Schema imports</label>
+    <label><input type="checkbox" id="highlightCycles" checked> Highlight reference cycles</label>
+    <select id="cycleSearch">
+      <option value="">-- Reference cycle --</option>
+    </select>
+    <span class="metrics">
+      <label>Size nodes by <select id="sizeMetric"><option value="">-- Same size --</option></select></label>
+      <label>Color nodes by <select id="colorMetric"><option value="">-- Document type --</option></select></label>
+      <span id="colorScale">low <span></span> high</span>
+    </span>
     <span class="search-container">
       <select id="nodeSearch">
         <option value="">-- Search / Select Document --</option>
@@ -1588,11 +1437,31 @@ function generateHtmlVisualization(graphData) {
     </span>
   </div>
   
+  <div class="timeline" id="timeline">
+    <button id="timelinePlay" title="Replay the timeline">▶</button>
+    <input type="range" id="timelineSlider" min="0" max="0" step="1">
+    <span id="timelineLabel"></span>
+  </div>
+  
+  <div class="paths">
+    <strong>Why does</strong>
+    <select id="pathFrom"><option value="">-- Document --</option></select>
+    <strong>depend on</strong>
+    <select id="pathTo"><option value="">-- Document --</option></select>
+    <label><input type="checkbox" id="pathNormativeOnly" checked> Normative refs only</label>
+    <label><input type="checkbox" id="pathAll"> All paths up to <input type="number" id="pathMaxLength" min="1" max="8" value="4"> steps</label>
+    <button id="findPaths">Find paths</button>
+    <button id="clearPaths">Clear</button>
+    <div id="pathResults"></div>
+  </div>
+  
   <div id="graph"></div>
   <div id="info"></div>
 
   <script>
-    const graphData = ${JSON.stringify(graphData)};
+    // Graph shown in the page: the current build, or an archived snapshot picked on the timeline
+    let graphData = ${inlineJson(graphData)};
+    const currentGraph = graphData;
     
     // Global references for search functionality
     let currentNetwork = null;
@@ -1607,6 +1476,148 @@ function generateHtmlVisualization(graphData) {
       oidf: '#8BC34A',
     };
     
+    function isRfcRelation(edge) {
+      return edge.type === 'obsoletes' || edge.type === 'updates';
+    }
+    
+    function isSchemaImport(edge) {
+      return edge.type === 'imports';
+    }
+    
+    // Dependency paths between two documents, highlighted in the graph (null when none are shown)
+    const PATH_COLOR = '#FFA000';
+    const MAX_PATHS = 200;
+    // Longest path length searched with "All paths": the search enumerates every simple path,
+    // which grows exponentially with the length
+    const MAX_PATH_LENGTH = 8;
+    let pathHighlight = null;
+    
+    function pathEdgeKey(from, to) {
+      return from + ' -> ' + to;
+    }
+    
+    function isOnPath(node) {
+      return pathHighlight !== null && pathHighlight.nodes.has(node.id);
+    }
+    
+    function isPathEdge(edge) {
+      return pathHighlight !== null && pathHighlight.edges.has(pathEdgeKey(edge.from, edge.to));
+    }
+    
+    // Documents citing each other in a loop, computed by the build (node.cycles, edge.cycle)
+    const CYCLE_COLOR = '${CYCLE_COLOR}';
+    
+    function isInCycle(node) {
+      return Boolean(node.cycles) && document.getElementById('highlightCycles').checked;
+    }
+    
+    function isCycleEdge(edge) {
+      return Boolean(edge.cycle) && document.getElementById('highlightCycles').checked;
+    }
+    
+    // Cycles of the shown graph by ID. Derived from the nodes and edges, so archived snapshots
+    // show theirs too: a cycle is normative when all its citations are normative
+    function cycleGroups() {
+      const cycles = new Map();
+      graphData.nodes.forEach(n => (n.cycles || []).forEach(id => {
+        if (!cycles.has(id)) cycles.set(id, { id, nodes: [], normative: true });
+        cycles.get(id).nodes.push(n.id);
+      }));
+      graphData.edges.forEach(e => {
+        if (e.cycle && e.type !== 'normative' && cycles.has(e.cycle)) cycles.get(e.cycle).normative = false;
+      });
+      cycles.forEach(cycle => cycle.nodes.sort());
+      return cycles;
+    }
+    
+    function cycleLabel(cycle) {
+      return (cycle.normative ? 'Normative reference cycle' : 'Reference cycle through informative refs') + ' #' + cycle.id;
+    }
+    
+    function populateCycleSelect() {
+      const select = document.getElementById('cycleSearch');
+      const cycles = [...cycleGroups().values()].sort((a, b) => a.id - b.id);
+      select.innerHTML = \`<option value="">-- Reference cycle (\${cycles.length}) --</option>\`;
+      cycles.forEach(cycle => {
+        const option = document.createElement('option');
+        option.value = cycle.id;
+        option.textContent = \`#\${cycle.id} \${cycle.normative ? 'normative' : 'informative'} (\${cycle.nodes.length}): \${cycle.nodes.slice(0, 3).join(', ')}\${cycle.nodes.length > 3 ? ', …' : ''}\`;
+        select.appendChild(option);
+      });
+    }
+    
+    // Cycles the document is part of, with their other members
+    function renderCycles(node) {
+      if (!node.cycles) return '';
+      const cycles = cycleGroups();
+      return node.cycles.filter(id => cycles.has(id)).map(id => {
+        const cycle = cycles.get(id);
+        return \`<strong style="color:\${CYCLE_COLOR};">\${cycleLabel(cycle)}:</strong> \${cycle.nodes.filter(m => m !== node.id).join(', ')}\`;
+      }).join('<br>');
+    }
+    
+    // Centrality metrics computed by the build (node.metrics), for sizing and coloring nodes
+    const METRICS = [
+      ['referencedByCount', 'Times referenced'],
+      ['pageRank', 'PageRank'],
+      ['betweenness', 'Betweenness centrality'],
+      ['inNormative', 'Normative citations received'],
+      ['inInformative', 'Informative citations received'],
+      ['outNormative', 'Normative references made'],
+      ['outInformative', 'Informative references made'],
+      ['reach', 'Transitive reach (dependent documents)'],
+    ];
+    
+    function metricValue(node, metric) {
+      if (metric === 'referencedByCount') return node.referencedByCount;
+      return (node.metrics && node.metrics[metric]) || 0;
+    }
+    
+    // Metric of a node relative to the highest value in the shown graph (0..1)
+    function metricScale(metric) {
+      const max = Math.max(0, ...graphData.nodes.map(n => metricValue(n, metric)));
+      return node => max > 0 ? metricValue(node, metric) / max : 0;
+    }
+    
+    // Light orange (low) to dark red (high)
+    function heatColor(t) {
+      const low = [255, 243, 224];
+      const high = [183, 28, 28];
+      return 'rgb(' + low.map((c, i) => Math.round(c + (high[i] - c) * t)).join(',') + ')';
+    }
+    
+    function populateMetricSelects() {
+      ['sizeMetric', 'colorMetric'].forEach(id => {
+        const select = document.getElementById(id);
+        METRICS.forEach(([metric, label]) => {
+          const option = document.createElement('option');
+          option.value = metric;
+          option.textContent = label;
+          select.appendChild(option);
+        });
+      });
+    }
+    
+    function formatMetrics(node) {
+      const m = node.metrics;
+      if (!m) return '';
+      return \`PageRank \${m.pageRank.toFixed(4)}, betweenness \${m.betweenness.toFixed(4)}, reach \${m.reach}\`;
+    }
+    
+    // Centrality of a document, with its PageRank position in the shown graph
+    function renderMetrics(node) {
+      const m = node.metrics;
+      if (!m) return '';
+      const rank = graphData.nodes.filter(n => metricValue(n, 'pageRank') > m.pageRank).length + 1;
+      return [
+        \`<strong>PageRank:</strong> \${m.pageRank.toFixed(4)} (#\${rank} of \${graphData.nodes.length})\`,
+        \`<strong>Betweenness:</strong> \${m.betweenness.toFixed(4)}\`,
+        \`<strong>Citations received:</strong> \${m.inNormative} normative, \${m.inInformative} informative\`,
+        \`<strong>References made:</strong> \${m.outNormative} normative, \${m.outInformative} informative\`,
+        \`<strong>Transitive reach:</strong> \${m.reach} dependent documents\`,
+      ].join(' · ');
+    }
+    
     function getNodeColor(node) {
       if (node.source === 'etsi') {
         return sourceColors.etsi[node.type] || '#9E9E9E';
@@ -1615,9 +1626,8 @@ function generateHtmlVisualization(graphData) {
     }
     
     // Populate search dropdown with all nodes grouped by source
-    function populateSearchDropdown(nodes) {
-      const select = document.getElementById('nodeSearch');
-      select.innerHTML = '<option value="">-- Search / Select Document --</option>';
+    function populateSearchDropdown(nodes, select = document.getElementById('nodeSearch'), placeholder = '-- Search / Select Document --') {
+      select.innerHTML = \`<option value="">\${placeholder}</option>\`;
       
       // Group nodes by source
       const grouped = {};
@@ -1642,7 +1652,17 @@ function generateHtmlVisualization(graphData) {
     }
     
     // ETSI Work Item URLs lookup (populated from esi_overview.json)
-    const etsiWorkItemUrls = ${JSON.stringify(Object.fromEntries(etsiWorkItemUrls))};
+    const etsiWorkItemUrls = ${inlineJson(Object.fromEntries(etsiWorkItemUrls))};
+    
+    // Display form of an edition: "V1.4.1" for ETSI, "-05" for Internet-Draft revisions
+    function versionLabel(source, version) {
+      return source === 'etsi' ? 'V' + version : '-' + version;
+    }
+    
+    // What an outdated document or citation has been superseded by
+    function supersededLabel(item) {
+      return item.replacedBy ? 'replaced by ' + item.replacedBy : 'latest: ' + versionLabel(item.source, item.latestVersion);
+    }
     
     // Generate URL for a document based on its source
     function getDocumentUrl(node) {
@@ -1650,15 +1670,20 @@ function generateHtmlVisualization(graphData) {
       const source = node.source;
       
       if (source === 'etsi') {
-        // First check if we have a work item URL from esi_overview.json
-        if (etsiWorkItemUrls[id]) {
-          return etsiWorkItemUrls[id];
+        // First check if we have a work item URL from esi_overview.json (keyed by spec, without edition)
+        const spec = node.spec || id;
+        if (etsiWorkItemUrls[spec]) {
+          return etsiWorkItemUrls[spec];
         }
         // Fallback: search page with document number
         return \`https://www.etsi.org/standards#page=1&search=\${encodeURIComponent(id)}\`;
       }
       
       if (source === 'ietf') {
+        // Internet-Draft: datatracker page of the cited revision (or the latest one)
+        if (/^draft-/.test(id)) {
+          return \`https://datatracker.ietf.org/doc/html/\${id}\`;
+        }
         // IETF RFC: direct link to datatracker
         const rfcMatch = id.match(/RFC\\s*(\\d+)/i);
         if (rfcMatch) {
@@ -1683,8 +1708,9 @@ function generateHtmlVisualization(graphData) {
       }
       
       if (source === 'w3c') {
-        // W3C: TR page
-        return \`https://www.w3.org/TR/\`;
+        // W3C: TR page of the short name ("W3C did-core")
+        const shortname = id.replace(/^W3C\\s+/, '');
+        return \`https://www.w3.org/TR/\${shortname}/\`;
       }
       
       if (source === 'oidf') {
@@ -1694,22 +1720,111 @@ function generateHtmlVisualization(graphData) {
         if (/OpenID4VC-HAIP|HAIP/i.test(id)) return 'https://openid.net/specs/openid4vc-high-assurance-interoperability-profile-1_0.html';
         if (/OpenID4VC/i.test(id)) return 'https://openid.net/specs/';
         if (/OpenID Connect/i.test(id)) return 'https://openid.net/specs/openid-connect-core-1_0.html';
-        if (/SD-JWT/i.test(id)) return 'https://datatracker.ietf.org/doc/html/rfc9449';
         return 'https://openid.net/developers/specs/';
       }
       
       return null;
     }
     
+    // Obsoletes/updates relations from the RFC header, in both directions
+    function renderRfcRelations(node) {
+      const relations = [
+        ['Obsoletes', node.obsoletes],
+        ['Obsoleted by', node.obsoletedBy],
+        ['Updates', node.updates],
+        ['Updated by', node.updatedBy],
+      ].filter(([, rfcs]) => rfcs && rfcs.length > 0);
+      return relations.map(([label, rfcs]) => \`<strong>\${label}:</strong> \${rfcs.join(', ')}\`).join('<br>');
+    }
+    
+    // Specs whose schemas this spec imports, and specs importing its schemas
+    function renderSchemaImports(nodeId) {
+      const describe = (edges, direction) => edges.map(e =>
+        \`\${direction === 'out' ? e.to : e.from} <small>(\${e.schemas.map(escapeHtml).join(', ')})</small>\`
+      ).join(', ');
+      const imports = graphData.edges.filter(e => isSchemaImport(e) && e.from === nodeId);
+      const importedBy = graphData.edges.filter(e => isSchemaImport(e) && e.to === nodeId);
+      return [
+        imports.length > 0 ? \`<strong>Imports schemas of:</strong> \${describe(imports, 'out')}\` : '',
+        importedBy.length > 0 ? \`<strong>Schemas imported by:</strong> \${describe(importedBy, 'in')}\` : '',
+      ].filter(Boolean).join('<br>');
+    }
+    
+    function escapeHtml(text) {
+      return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    
+    // Title, owner and scope of an ETSI spec, from its work item detail page
+    function renderWorkItemInfo(node) {
+      const lines = [];
+      if (node.title) {
+        lines.push(\`<em>\${escapeHtml(node.title)}</em>\`);
+      }
+      const owner = [
+        node.rapporteur && 'Rapporteur: ' + escapeHtml(node.rapporteur),
+        node.technicalBody && 'Technical body: ' + escapeHtml(node.technicalBody),
+      ].filter(Boolean).join(' · ');
+      if (owner) {
+        lines.push(owner);
+      }
+      if (node.scope) {
+        lines.push(\`<details><summary>Scope</summary>\${escapeHtml(node.scope)}</details>\`);
+      }
+      return lines.join('<br>');
+    }
+    
+    // Files delivered with the spec (ASN.1 modules, schemas, ...), published next to the graph
+    function renderAttachments(node) {
+      if (!node.attachments?.length) return '';
+      const items = node.attachments.map(a =>
+        \`<li><a href="\${encodeURI(a.file)}" target="_blank" style="color:#1976D2;text-decoration:none;">\${escapeHtml(a.file.split('/').pop())}</a> (\${a.kind})\${a.defines ? ' <small>defines ' + a.defines.map(escapeHtml).join(', ') + '</small>' : ''}</li>\`
+      ).join('');
+      return \`<details><summary><strong>Attachments (\${node.attachments.length})</strong></summary><ul>\${items}</ul></details>\`;
+    }
+    
+    // Per-clause drill-down for the info panel: clauses of this document cited by others,
+    // and clauses this document cites in its references
+    function renderClauseDrilldown(incoming, outgoing) {
+      const byClause = {};
+      incoming.filter(e => e.clauses).forEach(e => {
+        e.clauses.forEach(clause => {
+          if (!byClause[clause]) byClause[clause] = [];
+          byClause[clause].push(e.from);
+        });
+      });
+      
+      const sections = [];
+      const citedClauses = Object.keys(byClause).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      if (citedClauses.length > 0) {
+        sections.push('<strong>Clauses cited by other documents:</strong>' + citedClauses.map(clause =>
+          \`<details><summary>Clause \${clause} (\${byClause[clause].length})</summary>\${byClause[clause].join(', ')}</details>\`
+        ).join(''));
+      }
+      
+      const withClauses = outgoing.filter(e => e.clauses);
+      if (withClauses.length > 0) {
+        sections.push('<strong>Clauses cited in references:</strong>' + withClauses.map(e =>
+          \`<details><summary>\${e.to} (\${e.clauses.length})</summary>Clause \${e.clauses.join(', ')}</details>\`
+        ).join(''));
+      }
+      
+      return sections.join('<br>');
+    }
+    
     function buildNetwork() {
       const showNormative = document.getElementById('showNormative').checked;
       const showInformative = document.getElementById('showInformative').checked;
       const showExternal = document.getElementById('showExternal').checked;
       const showDrafts = document.getElementById('showDrafts').checked;
       const showUndownloaded = document.getElementById('showUndownloaded').checked;
+      const showRfcRelations = document.getElementById('showRfcRelations').checked;
+      const showSchemaImports = document.getElementById('showSchemaImports').checked;
       
       // Filter edges
       const filteredEdges = graphData.edges.filter(e => {
+        if (isPathEdge(e)) return true;
+        if (isRfcRelation(e) && !showRfcRelations) return false;
+        if (isSchemaImport(e) && !showSchemaImports) return false;
         if (e.type === 'normative' && !showNormative) return false;
         if (e.type === 'informative' && !showInformative) return false;
         if (!showExternal && ['ietf', 'iso', 'itu', 'w3c', 'oidf'].includes(e.source)) return false;
@@ -1725,6 +1840,7 @@ function generateHtmlVisualization(graphData) {
       
       const filteredNodes = graphData.nodes.filter(n => {
         if (!nodeIds.has(n.id)) return false;
+        if (isOnPath(n)) return true;
         // External standards (IETF, ISO, ITU)
         if (['ietf', 'iso', 'itu', 'w3c', 'oidf'].includes(n.source)) return showExternal;
         // Draft documents
@@ -1734,31 +1850,69 @@ function generateHtmlVisualization(graphData) {
         return true;
       });
       
+      const sizeMetric = document.getElementById('sizeMetric').value;
+      const colorMetric = document.getElementById('colorMetric').value;
+      const sizeOf = sizeMetric ? metricScale(sizeMetric) : null;
+      const colorOf = colorMetric ? metricScale(colorMetric) : null;
+      document.getElementById('colorScale').style.display = colorMetric ? 'inline' : 'none';
+      
       const nodes = new vis.DataSet(filteredNodes.map(n => ({
         id: n.id,
         label: n.isDraft ? n.id + ' (draft)' : n.id,
+        // Sized nodes are drawn as dots (area grows with the metric) with the label below
+        ...(sizeOf && { shape: 'dot', size: 8 + 32 * Math.sqrt(sizeOf(n)) }),
         color: {
-          background: getNodeColor(n),
-          border: n.isDraft ? '#FF5722' : (n.path ? '#333' : '#ccc'),
+          background: colorOf ? heatColor(colorOf(n)) : getNodeColor(n),
+          border: isOnPath(n) ? PATH_COLOR : (isNewNodeOnTimeline(n) ? '#00C853' : (isInCycle(n) ? CYCLE_COLOR : (n.isDraft ? '#FF5722' : (n.path ? '#333' : '#ccc')))),
         },
-        borderWidth: n.path ? 2 : 1,
+        borderWidth: isOnPath(n) || isNewNodeOnTimeline(n) || isInCycle(n) ? 4 : (n.path ? 2 : 1),
+        opacity: pathHighlight === null || isOnPath(n) ? 1 : 0.25,
         shapeProperties: {
           borderDashes: n.isDraft ? [5, 5] : false,
         },
         font: { size: 12 },
-        title: \`\${n.id} (\${n.source.toUpperCase()})\${n.isDraft ? ' [DRAFT]' : ''}\\nRefs: \${n.referencesCount}, Referenced by: \${n.referencedByCount}\${n.path ? '' : ' (external)'}\`,
+        title: \`\${n.id} (\${n.source.toUpperCase()})\${n.isDraft ? ' [DRAFT]' : ''}\${n.isOutdated ? ' [' + supersededLabel(n) + ']' : ''}\${n.citesObsoletedRfcs ? ' [cites obsoleted ' + n.citesObsoletedRfcs.join(', ') + ']' : ''}\\nRefs: \${n.referencesCount}, Referenced by: \${n.referencedByCount}\${n.path ? '' : ' (external)'}\${n.metrics ? '\\n' + formatMetrics(n) : ''}\`,
       })));
       
       const validNodeIds = new Set(filteredNodes.map(n => n.id));
       const edges = new vis.DataSet(filteredEdges.filter(e => 
         validNodeIds.has(e.from) && validNodeIds.has(e.to)
-      ).map(e => ({
+      ).map(e => isPathEdge(e) ? {
         from: e.from,
         to: e.to,
         arrows: 'to',
         dashes: e.type === 'informative',
-        color: { color: e.type === 'normative' ? '#666' : '#bbb' },
-      })));
+        width: 4,
+        color: { color: PATH_COLOR },
+      } : isRfcRelation(e) ? {
+        from: e.from,
+        to: e.to,
+        arrows: 'to',
+        dashes: [2, 4],
+        label: e.type,
+        font: { size: 9, color: '#7B1FA2' },
+        color: { color: '#7B1FA2', opacity: pathHighlight === null ? 1 : 0.15 },
+      } : isSchemaImport(e) ? {
+        from: e.from,
+        to: e.to,
+        arrows: 'to',
+        dashes: [6, 3],
+        label: 'imports',
+        title: e.schemas.join('\\n'),
+        font: { size: 9, color: '#00897B' },
+        color: { color: '#00897B', opacity: pathHighlight === null ? 1 : 0.15 },
+      } : {
+        from: e.from,
+        to: e.to,
+        arrows: 'to',
+        dashes: e.type === 'informative',
+        width: (e.weight !== undefined ? 1 + Math.log2(1 + e.weight) : 1) + (isCycleEdge(e) ? 2 : 0),
+        title: e.weight !== undefined ? \`Cited \${e.weight}× in the body text\` : undefined,
+        color: {
+          color: isNewEdgeOnTimeline(e) ? '#00C853' : (isCycleEdge(e) ? CYCLE_COLOR : (e.outdated ? '#F44336' : (e.type === 'normative' ? '#666' : '#bbb'))),
+          opacity: pathHighlight === null ? 1 : 0.15,
+        },
+      }));
       
       const container = document.getElementById('graph');
       const data = { nodes, edges };
@@ -1786,6 +1940,8 @@ function generateHtmlVisualization(graphData) {
       currentNetwork = network;
       currentNodes = nodes;
       populateSearchDropdown(filteredNodes);
+      populatePathSelects();
+      populateCycleSelect();
       
       network.on('click', function(params) {
         if (params.nodes.length > 0) {
@@ -1794,10 +1950,13 @@ function generateHtmlVisualization(graphData) {
           
           // Sync dropdown with clicked node
           document.getElementById('nodeSearch').value = nodeId;
-          const incoming = graphData.edges.filter(e => e.to === nodeId);
-          const outgoing = graphData.edges.filter(e => e.from === nodeId);
+          const incoming = graphData.edges.filter(e => e.to === nodeId && !isRfcRelation(e) && !isSchemaImport(e));
+          const outgoing = graphData.edges.filter(e => e.from === nodeId && !isRfcRelation(e) && !isSchemaImport(e));
           
           const draftBadge = node.isDraft ? '<span style="background:#FF5722;color:white;padding:2px 6px;border-radius:3px;margin-left:8px;font-size:12px;">DRAFT</span>' : '';
+          const obsoletedRfcBadge = node.citesObsoletedRfcs ? \`<span style="background:#7B1FA2;color:white;padding:2px 6px;border-radius:3px;margin-left:8px;font-size:12px;">CITES OBSOLETED \${node.citesObsoletedRfcs.join(', ')}</span>\` : '';
+          const cycleBadge = node.cycles ? \`<span style="background:\${CYCLE_COLOR};color:white;padding:2px 6px;border-radius:3px;margin-left:8px;font-size:12px;">IN REFERENCE CYCLE</span>\` : '';
+          const outdatedBadge = node.isOutdated ? \`<span style="background:#F44336;color:white;padding:2px 6px;border-radius:3px;margin-left:8px;font-size:12px;">\${node.replacedBy ? 'REPLACED BY ' + node.replacedBy : 'SUPERSEDED BY ' + versionLabel(node.source, node.latestVersion)}</span>\` : '';
           
           const url = getDocumentUrl(node);
           const linkHtml = url ? \`<a href="\${url}" target="_blank" style="color:#1976D2;text-decoration:none;">Open in browser</a>\` : '';
@@ -1808,24 +1967,42 @@ function generateHtmlVisualization(graphData) {
             return edges.map(e => {
               const refId = direction === 'out' ? e.to : e.from;
               const refNode = graphData.nodes.find(n => n.id === refId);
+              const edition = e.citedVersion === 'latest' ? ' <em>(undated)</em>' : '';
+              const weight = e.weight !== undefined ? \` <small>(\${e.weight}×)</small>\` : '';
+              const outdated = e.outdated ? \` <span style="color:#F44336;">(\${supersededLabel(e)})</span>\` : '';
               if (refNode) {
                 const refUrl = getDocumentUrl(refNode);
                 if (refUrl) {
-                  return \`<a href="\${refUrl}" target="_blank" style="color:#1976D2;text-decoration:none;">\${refId}</a>\`;
+                  return \`<a href="\${refUrl}" target="_blank" style="color:#1976D2;text-decoration:none;">\${refId}</a>\${edition}\${weight}\${outdated}\`;
                 }
               }
-              return refId;
+              return refId + edition + weight + outdated;
             }).join(', ');
           };
           
+          const clauseHtml = renderClauseDrilldown(incoming, outgoing);
+          const relationHtml = renderRfcRelations(node);
+          const schemaImportHtml = renderSchemaImports(nodeId);
+          const cycleHtml = renderCycles(node);
+          const metricsHtml = renderMetrics(node);
+          const workItemHtml = renderWorkItemInfo(node);
+          const attachmentHtml = renderAttachments(node);
+          
           document.getElementById('info').style.display = 'block';
           document.getElementById('info').innerHTML = \`
-            <strong>\${nodeId}</strong>\${draftBadge} \${node.path ? '' : '(external reference)'}
+            <strong>\${nodeId}</strong>\${draftBadge}\${outdatedBadge}\${obsoletedRfcBadge}\${cycleBadge} \${node.path ? '' : '(external reference)'}
+            \${workItemHtml ? '<br>' + workItemHtml : ''}
             \${linkHtml ? '<br>' + linkHtml : ''}
             <br><br>
             <strong>References (\${outgoing.length}):</strong> \${makeRefLinks(outgoing, 'out')}
             <br><br>
             <strong>Referenced by (\${incoming.length}):</strong> \${makeRefLinks(incoming, 'in')}
+            \${metricsHtml ? '<br><br>' + metricsHtml : ''}
+            \${cycleHtml ? '<br><br>' + cycleHtml : ''}
+            \${relationHtml ? '<br><br>' + relationHtml : ''}
+            \${schemaImportHtml ? '<br><br>' + schemaImportHtml : ''}
+            \${attachmentHtml ? '<br><br>' + attachmentHtml : ''}
+            \${clauseHtml ? '<br><br>' + clauseHtml : ''}
           \`;
         }
       });
@@ -1836,6 +2013,11 @@ function generateHtmlVisualization(graphData) {
     document.getElementById('showExternal').addEventListener('change', buildNetwork);
     document.getElementById('showDrafts').addEventListener('change', buildNetwork);
     document.getElementById('showUndownloaded').addEventListener('change', buildNetwork);
+    document.getElementById('showRfcRelations').addEventListener('change', buildNetwork);
+    document.getElementById('showSchemaImports').addEventListener('change', buildNetwork);
+    document.getElementById('highlightCycles').addEventListener('change', buildNetwork);
+    document.getElementById('sizeMetric').addEventListener('change', buildNetwork);
+    document.getElementById('colorMetric').addEventListener('change', buildNetwork);
     
     // Search dropdown handler
     document.getElementById('nodeSearch').addEventListener('change', function() {
@@ -1853,6 +2035,20 @@ function generateHtmlVisualization(graphData) {
       }
     });
     
+    // Cycle dropdown handler: select and zoom to the shown members of the cycle
+    document.getElementById('cycleSearch').addEventListener('change', function() {
+      const cycle = cycleGroups().get(Number(this.value));
+      if (!cycle || !currentNetwork || !currentNodes) return;
+      const shown = currentNodes.getIds();
+      const members = cycle.nodes.filter(id => shown.includes(id));
+      if (members.length === 0) {
+        alert('The documents of this cycle are currently hidden by the active filters.');
+        return;
+      }
+      currentNetwork.selectNodes(members);
+      currentNetwork.fit({ nodes: members, animation: { duration: 500, easingFunction: 'easeInOutQuad' } });
+    });
+    
     // Reset view handler
     document.getElementById('resetView').addEventListener('click', function() {
       if (currentNetwork) {
@@ -1863,13 +2059,264 @@ function generateHtmlVisualization(graphData) {
       }
     });
     
+    // Path finder: all documents of the graph can be picked, including those hidden by the filters
+    function populatePathSelects() {
+      ['pathFrom', 'pathTo'].forEach(id => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        populateSearchDropdown(graphData.nodes, select, '-- Document --');
+        if (graphData.nodes.some(n => n.id === value)) select.value = value;
+      });
+    }
+    
+    // Citation edges a dependency path may follow: normative references, optionally informative ones too
+    function pathAdjacency(normativeOnly) {
+      const adjacency = new Map();
+      graphData.edges.forEach(e => {
+        if (e.type !== 'normative' && (normativeOnly || e.type !== 'informative')) return;
+        if (!adjacency.has(e.from)) adjacency.set(e.from, []);
+        adjacency.get(e.from).push(e);
+      });
+      return adjacency;
+    }
+    
+    // Number of steps from each document to the target (breadth-first along reversed edges)
+    function distancesTo(target, adjacency) {
+      const citedBy = new Map();
+      adjacency.forEach(edges => edges.forEach(e => {
+        if (!citedBy.has(e.to)) citedBy.set(e.to, []);
+        citedBy.get(e.to).push(e.from);
+      }));
+      const distance = new Map([[target, 0]]);
+      const queue = [target];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        (citedBy.get(id) || []).forEach(citing => {
+          if (!distance.has(citing)) {
+            distance.set(citing, distance.get(id) + 1);
+            queue.push(citing);
+          }
+        });
+      }
+      return distance;
+    }
+    
+    // Every path from one document to another as a list of edges: all shortest paths, or all
+    // paths without repeated documents up to maxLength steps. Stops after MAX_PATHS paths
+    function findDependencyPaths(from, to, { normativeOnly, maxLength }) {
+      const adjacency = pathAdjacency(normativeOnly);
+      const toTarget = distancesTo(to, adjacency);
+      if (!toTarget.has(from)) return [];
+      const limit = maxLength || toTarget.get(from);
+      
+      const paths = [];
+      const visited = new Set([from]);
+      const walk = (id, path) => {
+        if (paths.length >= MAX_PATHS) return;
+        if (id === to) {
+          paths.push([...path]);
+          return;
+        }
+        (adjacency.get(id) || []).forEach(e => {
+          // Only steps that can still reach the target within the limit
+          if (visited.has(e.to) || !toTarget.has(e.to) || path.length + 1 + toTarget.get(e.to) > limit) return;
+          visited.add(e.to);
+          path.push(e);
+          walk(e.to, path);
+          path.pop();
+          visited.delete(e.to);
+        });
+      };
+      walk(from, []);
+      return paths.sort((a, b) => a.length - b.length);
+    }
+    
+    function highlightPaths(paths) {
+      pathHighlight = {
+        nodes: new Set(paths.flatMap(path => path.flatMap(e => [e.from, e.to]))),
+        edges: new Set(paths.flatMap(path => path.map(e => pathEdgeKey(e.from, e.to)))),
+      };
+      buildNetwork();
+    }
+    
+    function describePath(path) {
+      return escapeHtml(path[0].from) + path.map(e => {
+        const arrow = e.type === 'informative' ? ' ⇢ ' : ' → ';
+        const clauses = e.clauses ? \` <small>(clause \${e.clauses.map(escapeHtml).join(', ')})</small>\` : '';
+        return arrow + escapeHtml(e.to) + clauses;
+      }).join('');
+    }
+    
+    document.getElementById('findPaths').addEventListener('click', function() {
+      const from = document.getElementById('pathFrom').value;
+      const to = document.getElementById('pathTo').value;
+      const results = document.getElementById('pathResults');
+      if (!from || !to || from === to) {
+        results.textContent = 'Pick two different documents.';
+        return;
+      }
+      
+      const normativeOnly = document.getElementById('pathNormativeOnly').checked;
+      const lengthInput = document.getElementById('pathMaxLength');
+      const maxLength = document.getElementById('pathAll').checked
+        ? Math.min(MAX_PATH_LENGTH, Math.max(1, parseInt(lengthInput.value, 10) || 1))
+        : null;
+      if (maxLength) lengthInput.value = maxLength;
+      const paths = findDependencyPaths(from, to, { normativeOnly, maxLength });
+      if (paths.length === 0) {
+        results.textContent = \`\${from} does not depend on \${to} through \${normativeOnly ? 'normative' : 'normative or informative'} references\${maxLength ? ' within ' + maxLength + ' steps' : ''}.\`;
+        pathHighlight = null;
+        buildNetwork();
+        return;
+      }
+      
+      const kind = maxLength ? \`path\${paths.length === 1 ? '' : 's'} up to \${maxLength} steps\` : \`shortest path\${paths.length === 1 ? '' : 's'} (\${paths[0].length} steps)\`;
+      results.innerHTML = \`<strong>\${paths.length}\${paths.length >= MAX_PATHS ? '+' : ''} \${kind}</strong> - click a path to show it alone<ol>\` +
+        paths.map((path, i) => \`<li data-path="\${i}">\${describePath(path)}</li>\`).join('') + '</ol>';
+      results.querySelectorAll('li').forEach(li => li.addEventListener('click', () => {
+        results.querySelectorAll('li').forEach(other => other.classList.toggle('selected', other === li));
+        highlightPaths([paths[Number(li.dataset.path)]]);
+      }));
+      highlightPaths(paths);
+    });
+    
+    document.getElementById('clearPaths').addEventListener('click', function() {
+      pathHighlight = null;
+      document.getElementById('pathResults').innerHTML = '';
+      buildNetwork();
+    });
+    
+    // Timeline: archived snapshots of this build mode (downloads/snapshots/), fetched on demand.
+    // Documents and references added since the previous snapshot are highlighted in green
+    const snapshotDir = 'snapshots/${SNAPSHOT_MODE}/';
+    const currentSnapshotDate = ${JSON.stringify(snapshotDate)};
+    const snapshotCache = new Map();
+    let snapshots = [];
+    let timelineChanges = null;
+    let timelineTimer = null;
+    // Incremented per showSnapshot call, so a slower earlier load cannot replace a later one
+    let timelineRequest = 0;
+    
+    function timelineEdgeKey(e) {
+      return e.from + ' -> ' + e.to + ' (' + e.type + ')';
+    }
+    
+    function isNewNodeOnTimeline(node) {
+      return timelineChanges !== null && timelineChanges.nodes.has(node.id);
+    }
+    
+    function isNewEdgeOnTimeline(edge) {
+      return timelineChanges !== null && timelineChanges.edges.has(timelineEdgeKey(edge));
+    }
+    
+    async function loadSnapshot(index) {
+      const entry = snapshots[index];
+      if (entry.date === currentSnapshotDate) return currentGraph;
+      if (!snapshotCache.has(entry.file)) {
+        const response = await fetch(snapshotDir + entry.file);
+        if (!response.ok) {
+          throw new Error(\`snapshot \${entry.date} could not be loaded (HTTP \${response.status})\`);
+        }
+        snapshotCache.set(entry.file, await response.json());
+      }
+      return snapshotCache.get(entry.file);
+    }
+    
+    async function showSnapshot(index) {
+      const request = ++timelineRequest;
+      const entry = snapshots[index];
+      let graph, previous;
+      try {
+        graph = await loadSnapshot(index);
+        previous = index > 0 ? await loadSnapshot(index - 1) : null;
+      } catch (e) {
+        if (request !== timelineRequest) return;
+        stopTimeline();
+        document.getElementById('timelineLabel').textContent = \`\${entry.date}: \${e.message}\`;
+        return;
+      }
+      if (request !== timelineRequest) return;
+      
+      let changes = '';
+      timelineChanges = null;
+      if (previous) {
+        const oldNodes = new Set(previous.nodes.map(n => n.id));
+        const oldEdges = new Set(previous.edges.map(timelineEdgeKey));
+        const newNodes = new Set(graph.nodes.map(n => n.id));
+        const newEdges = new Set(graph.edges.map(timelineEdgeKey));
+        timelineChanges = {
+          nodes: new Set([...newNodes].filter(id => !oldNodes.has(id))),
+          edges: new Set([...newEdges].filter(key => !oldEdges.has(key))),
+        };
+        const removedNodes = [...oldNodes].filter(id => !newNodes.has(id)).length;
+        const removedEdges = [...oldEdges].filter(key => !newEdges.has(key)).length;
+        changes = \` (+\${timelineChanges.nodes.size}/−\${removedNodes} documents, +\${timelineChanges.edges.size}/−\${removedEdges} references since \${snapshots[index - 1].date})\`;
+      }
+      graphData = graph;
+      document.getElementById('timelineLabel').textContent = \`\${entry.date}\${entry.date === currentSnapshotDate ? ' (current build)' : ''}: \${entry.documents} documents, \${entry.references} references\${changes}\`;
+      document.getElementById('info').style.display = 'none';
+      buildNetwork();
+    }
+    
+    function stopTimeline() {
+      clearInterval(timelineTimer);
+      timelineTimer = null;
+      document.getElementById('timelinePlay').textContent = '▶';
+    }
+    
+    async function initTimeline() {
+      if (!currentSnapshotDate) return;
+      try {
+        const response = await fetch(snapshotDir + 'index.json');
+        snapshots = (await response.json()).snapshots;
+      } catch (e) {
+        // No snapshot store next to the page (e.g. opened from disk)
+        return;
+      }
+      if (snapshots.length < 2) return;
+      
+      const slider = document.getElementById('timelineSlider');
+      slider.max = snapshots.length - 1;
+      slider.value = Math.max(0, snapshots.findIndex(s => s.date === currentSnapshotDate));
+      slider.addEventListener('input', () => {
+        stopTimeline();
+        showSnapshot(Number(slider.value));
+      });
+      
+      document.getElementById('timelinePlay').addEventListener('click', () => {
+        if (timelineTimer) {
+          stopTimeline();
+          return;
+        }
+        if (Number(slider.value) === snapshots.length - 1) {
+          slider.value = 0;
+          showSnapshot(0);
+        }
+        document.getElementById('timelinePlay').textContent = '⏸';
+        timelineTimer = setInterval(() => {
+          if (Number(slider.value) >= snapshots.length - 1) {
+            stopTimeline();
+            return;
+          }
+          slider.value = Number(slider.value) + 1;
+          showSnapshot(Number(slider.value));
+        }, 1500);
+      });
+      
+      document.getElementById('timeline').style.display = 'flex';
+      document.getElementById('timelineLabel').textContent = \`\${currentSnapshotDate} (current build) - drag to replay \${snapshots.length} snapshots since \${snapshots[0].date}\`;
+    }
+    
+    populateMetricSelects();
     buildNetwork();
+    initTimeline();
   </script>
   
   <footer>
     <p>
       <strong>EUDI Nexus</strong> - ETSI ESI standards reference graph for the European Digital Identity Wallet ecosystem<br>
       <a href="https://github.com/cre8/eudi-nexus" target="_blank">GitHub</a> |
+      ${upcomingMeetings ? `<a href="meetings.ics">ESI meetings calendar</a>${upcomingMeetings.length > 0 ? ` (next: ${escapeHtml(upcomingMeetings[0].reference || upcomingMeetings[0].title)}, ${escapeHtml(upcomingMeetings[0].startDate)})` : ''} |` : ''}
       Data sourced from <a href="https://www.etsi.org" target="_blank">ETSI</a>
     </p>
   </footer>
@@ -30,8 +30,8 @@ async function generateMarkdown() {
 
 ## Active Work Items (In Development)
 
-| ETSI Number | Title | Current Status | Current Date | Next Milestone | Due Date |
-|-------------|-------|----------------|--------------|----------------|----------|
+| ETSI Number | Title | Rapporteur | Current Status | Current Date | Next Milestone | Due Date |
+|-------------|-------|------------|----------------|--------------|----------------|----------|
 `;
 
   // Sort active items by next status date
@@ -50,7 +50,9 @@ async function generateMarkdown() {
     const nextMilestone = item.nextStatus?.status || '-';
     const dueDate = item.nextStatus?.date || '-';
     
-    md += `| ${etsiLink} | ${escapeMarkdown(title)} | ${escapeMarkdown(currentStatus)} | ${currentDate} | ${escapeMarkdown(nextMilestone)} | ${dueDate} |\n`;
+    const rapporteur = item.rapporteur || '-';
+    
+    md += `| ${etsiLink} | ${escapeMarkdown(title)} | ${escapeMarkdown(rapporteur)} | ${escapeMarkdown(currentStatus)} | ${currentDate} | ${escapeMarkdown(nextMilestone)} | ${dueDate} |\n`;
   }
 
   md += `
@@ -86,6 +88,27 @@ async function generateMarkdown() {
     md += '\n';
   }
 
+  // Scope of each active work item, from the work item detail pages
+  const withScope = activeItems.filter(item => item.scope);
+  if (withScope.length > 0) {
+    md += `---
+
+## Scope of Active Work Items
+
+`;
+    for (const item of withScope) {
+      const owner = [item.rapporteur, item.technicalBody].filter(Boolean).join(', ');
+      md += `<details>
+<summary><strong>${escapeHtml(item.etsiNumber)}</strong>${owner ? ` (${escapeHtml(owner)})` : ''}</summary>
+
+${escapeHtml(item.scope)}
+${item.keywords?.length ? `\n*Keywords: ${escapeHtml(item.keywords.join(', '))}*\n` : ''}
+</details>
+
+`;
+    }
+  }
+
   md += `---
 
 ## Published Documents
@@ -237,4 +260,10 @@ function escapeMarkdown(str) {
   return str.replace(/\|/g, '\\|').replace(/\n/g, ' ');
 }
 
+// Scraped text placed inside the HTML blocks of the scope section
+function escapeHtml(str) {
+  if (!str) return '';
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 generateMarkdown().catch(console.error);
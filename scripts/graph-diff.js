@@ -0,0 +1,169 @@
+/**
+ * Reference Graph Diff
+ *
+ * Compares two references.json snapshots (e.g. last week's deployed build and the
+ * current one) and reports added/removed documents, added/removed references,
+ * references whose type flipped between normative and informative, and new draft
+ * documents.
+ *
+ * Writes downloads/graph-diff.md (for the weekly standards digest) and
+ * downloads/graph-diff.json (for tooling).
+ *
+ * Usage: node graph-diff.js <old references.json> <new references.json>
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = path.join(__dirname, '../downloads');
+
+// CLI arguments - npm scripts run from scripts/, so resolve paths against the directory npm was started in
+const args = process.argv.slice(2);
+const BASE_PATH = process.env.INIT_CWD || process.cwd();
+
+async function graphDiff() {
+  if (args.length !== 2) {
+    console.error('Usage: node graph-diff.js <old references.json> <new references.json>');
+    process.exit(1);
+  }
+  const [oldPath, newPath] = args.map(arg => path.resolve(BASE_PATH, arg));
+
+  console.log('🔀 EUDI Nexus - Reference Graph Diff');
+  console.log('====================================\n');
+  console.log(`Old: ${oldPath}`);
+  console.log(`New: ${newPath}\n`);
+
+  const oldGraph = JSON.parse(await fs.readFile(oldPath, 'utf-8')).graph;
+  const newGraph = JSON.parse(await fs.readFile(newPath, 'utf-8')).graph;
+
+  const diff = diffGraphs(oldGraph, newGraph);
+  const result = {
+    generatedAt: new Date().toISOString(),
+    old: { file: path.basename(oldPath), documents: oldGraph.nodes.length, references: oldGraph.edges.length },
+    new: { file: path.basename(newPath), documents: newGraph.nodes.length, references: newGraph.edges.length },
+    summary: Object.fromEntries(Object.entries(diff).map(([key, items]) => [key, items.length])),
+    ...diff,
+  };
+
+  await fs.mkdir(OUTPUT_PATH, { recursive: true });
+  await fs.writeFile(path.join(OUTPUT_PATH, 'graph-diff.json'), JSON.stringify(result, null, 2));
+  await fs.writeFile(path.join(OUTPUT_PATH, 'graph-diff.md'), generateMarkdown(result));
+
+  console.log(`📄 Documents: +${diff.addedNodes.length} / -${diff.removedNodes.length}`);
+  console.log(`🔗 References: +${diff.addedEdges.length} / -${diff.removedEdges.length}`);
+  console.log(`🔄 Type changes: ${diff.typeChanges.length}`);
+  console.log(`📝 New drafts: ${diff.newDrafts.length}`);
+  console.log('\nOutput files:');
+  console.log('   - graph-diff.md (digest)');
+  console.log('   - graph-diff.json (machine-readable)');
+}
+
+// A document may cite the same target both normatively and informatively, so the type is part
+// of the key; type flips are found per pair of endpoints (see citationTypes)
+function edgeKey(edge) {
+  return `${edge.from}\u0000${edge.type}\u0000${edge.to}`;
+}
+
+function endpointsKey(edge) {
+  return `${edge.from}\u0000${edge.to}`;
+}
+
+const CITATION_TYPES = ['normative', 'informative'];
+
+// Citation types (normative, informative or both) of each citing pair of documents
+function citationTypes(edges) {
+  const citations = new Map();
+  for (const edge of edges.filter(e => CITATION_TYPES.includes(e.type))) {
+    const key = endpointsKey(edge);
+    if (!citations.has(key)) citations.set(key, { edge, types: [] });
+    citations.get(key).types.push(edge.type);
+  }
+  for (const entry of citations.values()) {
+    entry.types = CITATION_TYPES.filter(type => entry.types.includes(type));
+  }
+  return citations;
+}
+
+function diffGraphs(oldGraph, newGraph) {
+  const oldNodes = new Map(oldGraph.nodes.map(n => [n.id, n]));
+  const newNodes = new Map(newGraph.nodes.map(n => [n.id, n]));
+  const oldEdges = new Map(oldGraph.edges.map(e => [edgeKey(e), e]));
+  const newEdges = new Map(newGraph.edges.map(e => [edgeKey(e), e]));
+
+  const summarizeNode = (node) => ({
+    id: node.id,
+    source: node.source,
+    type: node.type,
+    ...(node.isDraft && { isDraft: true }),
+  });
+  const summarizeEdge = (edge) => ({ from: edge.from, to: edge.to, type: edge.type, source: edge.source });
+  const byId = (a, b) => a.id.localeCompare(b.id);
+  const byEndpoints = (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to);
+
+  // A citation still present between the same documents but under other types is one change
+  // rather than a removal plus an addition ("normative" -> "normative + informative" included)
+  const oldCitations = citationTypes(oldGraph.edges);
+  const typeChanges = [];
+  for (const [key, { edge, types }] of citationTypes(newGraph.edges)) {
+    const previous = oldCitations.get(key);
+    if (previous && previous.types.join() !== types.join()) {
+      typeChanges.push({ from: edge.from, to: edge.to, source: edge.source, oldType: previous.types.join(' + '), newType: types.join(' + ') });
+    }
+  }
+  const changedPairs = new Set(typeChanges.map(endpointsKey));
+  const isNewOrGone = (edges) => ([key, edge]) =>
+    !edges.has(key) && !(CITATION_TYPES.includes(edge.type) && changedPairs.has(endpointsKey(edge)));
+
+  return {
+    addedNodes: [...newNodes.values()].filter(n => !oldNodes.has(n.id)).map(summarizeNode).sort(byId),
+    removedNodes: [...oldNodes.values()].filter(n => !newNodes.has(n.id)).map(summarizeNode).sort(byId),
+    addedEdges: [...newEdges].filter(isNewOrGone(oldEdges)).map(([, e]) => summarizeEdge(e)).sort(byEndpoints),
+    removedEdges: [...oldEdges].filter(isNewOrGone(newEdges)).map(([, e]) => summarizeEdge(e)).sort(byEndpoints),
+    typeChanges: typeChanges.sort(byEndpoints),
+    // Draft documents that are new, or were only known as a reference target before
+    newDrafts: [...newNodes.values()].filter(n => n.isDraft && !oldNodes.get(n.id)?.isDraft).map(summarizeNode).sort(byId),
+  };
+}
+
+function generateMarkdown(result) {
+  const { summary } = result;
+  let md = `# Reference Graph Changes
+
+> Generated: ${new Date(result.generatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}
+> Compared \`${result.old.file}\` (${result.old.documents} documents, ${result.old.references} references) with \`${result.new.file}\` (${result.new.documents} documents, ${result.new.references} references)
+
+| Change | Count |
+|--------|-------|
+| New documents | ${summary.addedNodes} |
+| Removed documents | ${summary.removedNodes} |
+| New references | ${summary.addedEdges} |
+| Removed references | ${summary.removedEdges} |
+| Normative/informative changes | ${summary.typeChanges} |
+| New draft documents | ${summary.newDrafts} |
+`;
+
+  const nodeTable = (nodes) => '| Document | Source | Type |\n|----------|--------|------|\n'
+    + nodes.map(n => `| ${n.id}${n.isDraft ? ' (draft)' : ''} | ${n.source.toUpperCase()} | ${n.type} |`).join('\n');
+  const edgeTable = (edges) => '| Document | References | Type |\n|----------|------------|------|\n'
+    + edges.map(e => `| ${e.from} | ${e.to} | ${e.type} |`).join('\n');
+  const typeChangeTable = (changes) => '| Document | References | Change |\n|----------|------------|--------|\n'
+    + changes.map(c => `| ${c.from} | ${c.to} | ${c.oldType} → ${c.newType} |`).join('\n');
+
+  const sections = [
+    ['New Documents', result.addedNodes, nodeTable],
+    ['Removed Documents', result.removedNodes, nodeTable],
+    ['New References', result.addedEdges, edgeTable],
+    ['Removed References', result.removedEdges, edgeTable],
+    ['Normative/Informative Changes', result.typeChanges, typeChangeTable],
+    ['New Draft Documents', result.newDrafts, nodeTable],
+  ];
+  for (const [title, items, table] of sections) {
+    md += `\n## ${title}\n\n${items.length > 0 ? table(items) : 'None.'}\n`;
+  }
+
+  return md;
+}
+
+graphDiff().catch(console.error);
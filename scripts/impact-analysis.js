@@ -0,0 +1,276 @@
+/**
+ * Impact Analysis
+ *
+ * Uses references.json to compute, for one spec, the transitive closure of the
+ * reference graph in both directions:
+ *   - downstream: every document that cites the spec, directly or through other
+ *     documents (what may need alignment when the spec is revised)
+ *   - upstream: everything the spec depends on
+ * Each document is reported with its depth (1 = direct citation) and one shortest
+ * chain of citations. Documents reachable through normative references only are
+ * listed as normative dependencies; those only reachable through at least one
+ * informative reference as informative.
+ *
+ * The closure is computed between specs, not editions: a document citing any edition
+ * of an intermediate spec depends on it, so TS 119 472-1 V1.1.1 and V1.2.1 both carry
+ * the chain on. All editions of the analysed spec are taken together unless an edition
+ * is given; other editions of that spec then are not followed.
+ * Writes downloads/impact.md (report) and downloads/impact.json (for tooling).
+ *
+ * Usage: node impact-analysis.js <spec> [--depth <n>] [--normative-only]
+ *   e.g. node impact-analysis.js "EN 319 412-1"
+ *        node impact-analysis.js "TS 119 472-1 V1.2.1" --depth 2
+ *        node impact-analysis.js "RFC 5280" --normative-only
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeDocId, parseDocId } from '../src/reference-parser.js';
+import { isInternetDraft, parseDraftName } from '../src/ietf-drafts.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = path.join(__dirname, '../downloads');
+
+// CLI arguments: the spec, plus flags
+const args = process.argv.slice(2);
+const depthIndex = args.indexOf('--depth');
+const MAX_DEPTH = depthIndex !== -1 ? Number(args[depthIndex + 1]) : Infinity;
+const NORMATIVE_ONLY = args.includes('--normative-only');
+const SPEC = args.find((arg, i) => !arg.startsWith('--') && (depthIndex === -1 || i !== depthIndex + 1));
+
+async function impactAnalysis() {
+  if (!SPEC) {
+    console.error('Usage: node impact-analysis.js <spec> [--depth <n>] [--normative-only]');
+    process.exit(1);
+  }
+  if (MAX_DEPTH !== Infinity && !(Number.isInteger(MAX_DEPTH) && MAX_DEPTH > 0)) {
+    console.error(`❌ --depth must be a positive integer, got ${args[depthIndex + 1] ?? 'nothing'}`);
+    process.exit(1);
+  }
+
+  console.log('💥 EUDI Nexus - Impact Analysis');
+  console.log('===============================\n');
+
+  const { nodes, edges } = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'references.json'), 'utf-8')).graph;
+  const editionsBySpec = new Map();
+  for (const node of nodes) {
+    const spec = specKey(node.id);
+    if (!editionsBySpec.has(spec)) editionsBySpec.set(spec, []);
+    editionsBySpec.get(spec).push(node);
+  }
+
+  const targets = matchSpec(SPEC, nodes);
+  if (targets.length === 0) {
+    console.error(`❌ ${SPEC} is not in references.json`);
+    process.exit(1);
+  }
+  console.log(`Analysing ${targets.map(n => n.id).join(', ')}${Number.isFinite(MAX_DEPTH) ? ` (depth ≤ ${MAX_DEPTH})` : ''}\n`);
+
+  // The analysed spec is one node of the spec-level graph: all its editions, or only the
+  // given one (citations of its other editions are then dropped)
+  const startIds = targets.map(n => n.id);
+  const analysed = specKey(startIds[0]);
+  const start = startIds.length === editionsBySpec.get(analysed).length ? analysed : startIds[0];
+  const toSpec = (id) => specKey(id) !== analysed ? specKey(id) : start === analysed || id === start ? start : null;
+
+  // Citations only: RFC obsoletes/updates and schema imports are not references
+  const citations = edges
+    .filter(e => e.type === 'normative' || (!NORMATIVE_ONLY && e.type === 'informative'))
+    .map(e => ({ ...e, from: toSpec(e.from), to: toSpec(e.to) }))
+    .filter(e => e.from && e.to && e.from !== e.to);
+  const describe = (entry) => {
+    const editions = editionsBySpec.get(entry.id);
+    const title = editions.findLast(n => n.title)?.title;
+    return {
+      ...entry,
+      source: editions[0].source,
+      ...(title && { title }),
+      ...(editions.every(n => n.isDraft) && { isDraft: true }),
+      downloaded: editions.some(n => n.path),
+    };
+  };
+
+  const downstream = closure([start], citations, 'downstream').map(describe);
+  const upstream = closure([start], citations, 'upstream').map(describe);
+
+  const summarize = (entries) => ({
+    total: entries.length,
+    normative: entries.filter(e => e.dependency === 'normative').length,
+    informative: entries.filter(e => e.dependency === 'informative').length,
+    direct: entries.filter(e => e.depth === 1).length,
+    maxDepth: Math.max(0, ...entries.map(e => e.depth)),
+  });
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    spec: SPEC,
+    editions: startIds,
+    ...(Number.isFinite(MAX_DEPTH) && { maxDepth: MAX_DEPTH }),
+    ...(NORMATIVE_ONLY && { normativeOnly: true }),
+    summary: {
+      downstream: summarize(downstream),
+      upstream: summarize(upstream),
+    },
+    downstream,
+    upstream,
+  };
+
+  await fs.writeFile(path.join(OUTPUT_PATH, 'impact.json'), JSON.stringify(result, null, 2));
+  await fs.writeFile(path.join(OUTPUT_PATH, 'impact.md'), generateMarkdown(result));
+
+  const { downstream: down, upstream: up } = result.summary;
+  console.log(`⬇️  Depend on ${SPEC}: ${down.total} documents (${down.normative} normative, ${down.informative} informative, ${down.direct} direct)`);
+  for (const entry of downstream.filter(e => e.dependency === 'normative')) {
+    console.log(`   ${'  '.repeat(entry.depth - 1)}${entry.id} (depth ${entry.depth})`);
+  }
+  console.log(`⬆️  ${SPEC} depends on: ${up.total} documents (${up.normative} normative, ${up.informative} informative, ${up.direct} direct)`);
+  console.log('\nOutput files:');
+  console.log('   - impact.md (report)');
+  console.log('   - impact.json (machine-readable)');
+}
+
+// Spec a node belongs to: the ETSI number without edition, the draft name without revision
+function specKey(docId) {
+  return isInternetDraft(docId) ? parseDraftName(docId).spec : parseDocId(docId).spec;
+}
+
+// Graph nodes of the requested spec: the given edition, or all editions (revisions of an
+// Internet-Draft) when none is given. ETSI numbers are accepted in any spacing ("EN 319412-1")
+function matchSpec(input, nodes) {
+  const etsiId = normalizeDocId(input);
+  if (etsiId) {
+    const { spec, version } = parseDocId(etsiId);
+    return nodes.filter(n => n.source === 'etsi' && (version ? n.id === etsiId : n.spec === spec));
+  }
+
+  const id = input.trim().toLowerCase();
+  const exact = nodes.filter(n => n.id.toLowerCase() === id);
+  if (exact.length > 0 || !isInternetDraft(input.trim())) return exact;
+  return nodes.filter(n => isInternetDraft(n.id) && parseDraftName(n.id).spec.toLowerCase() === id);
+}
+
+// Breadth-first closure from the start nodes along citations (downstream: towards the
+// documents citing them, upstream: towards the documents they cite). A document is a
+// normative dependency when a chain of normative citations alone reaches it; its depth and
+// chain are the shortest ones of that kind
+function closure(startIds, citations, direction) {
+  const normative = walk(startIds, citations.filter(e => e.type === 'normative'), direction);
+  const any = walk(startIds, citations, direction);
+
+  const entries = [];
+  for (const [id, reached] of any) {
+    if (startIds.includes(id)) continue;
+    const dependency = normative.has(id) ? 'normative' : 'informative';
+    const found = dependency === 'normative' ? normative : any;
+    entries.push({ id, dependency, depth: found.get(id).depth, via: chain(id, found, direction), citedAs: reached.citedAs });
+  }
+
+  return entries.sort((a, b) =>
+    (a.dependency === b.dependency ? 0 : a.dependency === 'normative' ? -1 : 1) || a.depth - b.depth || a.id.localeCompare(b.id)
+  );
+}
+
+function walk(startIds, edges, direction) {
+  const next = new Map();
+  for (const edge of edges) {
+    const [from, to] = direction === 'downstream' ? [edge.to, edge.from] : [edge.from, edge.to];
+    if (!next.has(from)) next.set(from, []);
+    next.get(from).push({ id: to, edge });
+  }
+
+  const reached = new Map(startIds.map(id => [id, { depth: 0, parent: null }]));
+  const queue = [...startIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const { depth } = reached.get(id);
+    if (depth >= MAX_DEPTH) continue;
+    for (const { id: neighbour, edge } of next.get(id) || []) {
+      if (reached.has(neighbour)) continue;
+      reached.set(neighbour, {
+        depth: depth + 1,
+        parent: id,
+        // How direct citers cite the analysed spec: the edition and the reference type
+        ...(depth === 0 && { citedAs: citedAs(edge, edges, neighbour, startIds, direction) }),
+      });
+      queue.push(neighbour);
+    }
+  }
+  return reached;
+}
+
+// Editions and reference types under which a direct neighbour cites (or is cited by) the spec,
+// once each when several editions of the neighbour cite it the same way
+function citedAs(edge, edges, neighbour, startIds, direction) {
+  const cites = edges
+    .filter(e => direction === 'downstream'
+      ? e.from === neighbour && startIds.includes(e.to)
+      : e.to === neighbour && startIds.includes(e.from))
+    .map(e => ({
+      type: e.type,
+      ...(e.citedVersion && { citedVersion: e.citedVersion }),
+      ...(e.outdated && { outdated: true }),
+      ...(e.clauses && { clauses: e.clauses }),
+    }));
+  return [...new Map(cites.map(c => [JSON.stringify(c), c])).values()];
+}
+
+// Citation chain from the document to the analysed spec (downstream) or from the spec to it (upstream)
+function chain(id, reached, direction) {
+  const ids = [];
+  for (let current = id; current !== null; current = reached.get(current).parent) {
+    ids.push(current);
+  }
+  return direction === 'downstream' ? ids : ids.reverse();
+}
+
+function generateMarkdown(result) {
+  const { summary } = result;
+  const scope = [
+    result.maxDepth ? `depth ≤ ${result.maxDepth}` : null,
+    result.normativeOnly ? 'normative references only' : null,
+  ].filter(Boolean).join(', ');
+
+  let md = `# Impact Analysis: ${result.spec}
+
+> Generated: ${new Date(result.generatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}
+
+Editions analysed: ${result.editions.join(', ')}${scope ? ` (${scope})` : ''}
+
+| Direction | Documents | Normative | Informative | Direct | Max depth |
+|-----------|-----------|-----------|-------------|--------|-----------|
+| Depend on ${result.spec} (downstream) | ${summary.downstream.total} | ${summary.downstream.normative} | ${summary.downstream.informative} | ${summary.downstream.direct} | ${summary.downstream.maxDepth} |
+| ${result.spec} depends on (upstream) | ${summary.upstream.total} | ${summary.upstream.normative} | ${summary.upstream.informative} | ${summary.upstream.direct} | ${summary.upstream.maxDepth} |
+`;
+
+  md += `\n## Documents Depending on ${result.spec}\n\nWhen ${result.spec} is revised, these documents may need alignment.\n`;
+  md += section('Normative', result.downstream.filter(e => e.dependency === 'normative'), ' ← ');
+  md += section('Informative only', result.downstream.filter(e => e.dependency === 'informative'), ' ← ');
+
+  md += `\n## Documents ${result.spec} Depends On\n`;
+  md += section('Normative', result.upstream.filter(e => e.dependency === 'normative'), ' → ');
+  md += section('Informative only', result.upstream.filter(e => e.dependency === 'informative'), ' → ');
+
+  return md;
+}
+
+function section(title, entries, arrow) {
+  let md = `\n### ${title} (${entries.length})\n\n`;
+  if (entries.length === 0) return md + 'None.\n';
+
+  md += '| Document | Depth | Citation chain | Direct citation |\n|----------|-------|----------------|-----------------|\n';
+  for (const entry of entries) {
+    const name = `${entry.id}${entry.isDraft ? ' (draft)' : ''}${entry.title ? `<br><small>${escapeMarkdown(entry.title)}</small>` : ''}`;
+    const cites = (entry.citedAs || []).map(c =>
+      `${c.type}${c.citedVersion ? ` ${c.citedVersion === 'latest' ? 'undated' : c.citedVersion}` : ''}${c.outdated ? ' ⚠️ outdated' : ''}${c.clauses ? ` (clause ${c.clauses.join(', ')})` : ''}`
+    ).join('; ');
+    md += `| ${escapeMarkdown(name)} | ${entry.depth} | ${entry.via.map(escapeMarkdown).join(arrow)} | ${cites} |\n`;
+  }
+  return md;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+impactAnalysis().catch(console.error);
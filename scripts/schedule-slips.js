@@ -0,0 +1,162 @@
+/**
+ * Schedule Slip Report
+ *
+ * Compares the milestone target dates of active ETSI work items across scrapes
+ * (schedule_history.json, kept by the work program scraper) and reports:
+ *   - milestones whose target date moved later in the latest scrape
+ *   - milestones that slipped since their target date was first recorded
+ *   - milestones past their target date that have not been achieved
+ *
+ * Writes downloads/schedule-slips.md (for planning) and downloads/schedule-slips.json
+ * (for tooling).
+ *
+ * Usage: node schedule-slips.js [--spec <ETSI number prefix>]...
+ *   e.g. node schedule-slips.js --spec "TS 119 472" --spec "TS 119 476"
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = path.join(__dirname, '../downloads');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// CLI flags: --spec can be repeated to watch several document series
+const args = process.argv.slice(2);
+const SPEC_PREFIXES = args.flatMap((arg, i) => arg === '--spec' && args[i + 1] ? [args[i + 1]] : []);
+
+async function scheduleSlips() {
+  console.log('📅 EUDI Nexus - Schedule Slip Report');
+  console.log('====================================\n');
+
+  const workItems = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'work_items.json'), 'utf-8'));
+  let history = {};
+  try {
+    history = JSON.parse(await fs.readFile(path.join(OUTPUT_PATH, 'schedule_history.json'), 'utf-8'));
+  } catch (e) {
+    console.log('Note: No schedule_history.json yet - run npm run scrape to start recording target dates\n');
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const active = workItems.filter(item =>
+    /Drafting|approval/i.test(item.stage || '') &&
+    item.schedule?.length &&
+    (SPEC_PREFIXES.length === 0 || SPEC_PREFIXES.some(prefix => item.etsiNumber?.startsWith(prefix)))
+  );
+  console.log(`Checking the schedules of ${active.length} active work items${SPEC_PREFIXES.length ? ` (${SPEC_PREFIXES.join(', ')})` : ''}\n`);
+
+  const slipped = [];
+  const overdue = [];
+  for (const item of active) {
+    const recorded = history[item.workItemId]?.milestones || {};
+    const base = { etsiNumber: item.etsiNumber, workItemId: item.workItemId, scheduleUrl: item.scheduleUrl };
+
+    for (const { milestone, targetDate, achievedDate } of item.schedule) {
+      if (!targetDate || achievedDate) continue;
+
+      // Target dates in the order they were recorded; the last one is the current plan
+      const targets = recorded[milestone] || [];
+      const first = targets[0];
+      const previous = targets[targets.length - 2];
+      const current = targets[targets.length - 1];
+      if (first && current?.targetDate === targetDate && targetDate > first.targetDate) {
+        slipped.push({
+          ...base,
+          milestone,
+          targetDate,
+          firstTargetDate: first.targetDate,
+          firstRecorded: first.date,
+          slipDays: daysBetween(first.targetDate, targetDate),
+          // Moved in the most recent replanning, compared with the target before it
+          ...(previous && targetDate > previous.targetDate && {
+            previousTargetDate: previous.targetDate,
+            changedOn: current.date,
+            latestSlipDays: daysBetween(previous.targetDate, targetDate),
+          }),
+        });
+      }
+
+      if (targetDate < today) {
+        overdue.push({ ...base, milestone, targetDate, overdueDays: daysBetween(targetDate, today) });
+      }
+    }
+  }
+
+  slipped.sort((a, b) => b.slipDays - a.slipDays || a.etsiNumber.localeCompare(b.etsiNumber));
+  overdue.sort((a, b) => b.overdueDays - a.overdueDays || a.etsiNumber.localeCompare(b.etsiNumber));
+
+  // Slips that happened in the latest scrape are the early warnings. Histories recorded before
+  // lastScrapedAt existed get it with the next scrape
+  const latestScrape = history.lastScrapedAt;
+  const recentlySlipped = slipped.filter(s => s.changedOn && s.changedOn === latestScrape);
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    latestScrape: latestScrape || null,
+    ...(SPEC_PREFIXES.length && { specs: SPEC_PREFIXES }),
+    summary: {
+      workItemsChecked: active.length,
+      recentlySlipped: recentlySlipped.length,
+      slipped: slipped.length,
+      overdue: overdue.length,
+    },
+    recentlySlipped,
+    slipped,
+    overdue,
+  };
+
+  await fs.writeFile(path.join(OUTPUT_PATH, 'schedule-slips.json'), JSON.stringify(result, null, 2));
+  await fs.writeFile(path.join(OUTPUT_PATH, 'schedule-slips.md'), generateMarkdown(result));
+
+  console.log(`${recentlySlipped.length > 0 ? '⚠️ ' : '✅'} Slipped in the latest scrape: ${recentlySlipped.length}`);
+  console.log(`${slipped.length > 0 ? '⚠️ ' : '✅'} Slipped since first recorded: ${slipped.length}`);
+  console.log(`${overdue.length > 0 ? '⚠️ ' : '✅'} Overdue milestones: ${overdue.length}`);
+  console.log('\nOutput files:');
+  console.log('   - schedule-slips.md (report)');
+  console.log('   - schedule-slips.json (machine-readable)');
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / DAY);
+}
+
+function generateMarkdown(result) {
+  const { summary } = result;
+  let md = `# Work Item Schedule Slips
+
+> Generated: ${new Date(result.generatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}${result.latestScrape ? `
+> Latest scrape: ${result.latestScrape}` : ''}
+
+Milestone target dates of ${summary.workItemsChecked} active work items${result.specs ? ` (${result.specs.join(', ')})` : ''}.
+
+| Check | Milestones |
+|-------|------------|
+| Slipped in the latest scrape | ${summary.recentlySlipped} |
+| Slipped since first recorded | ${summary.slipped} |
+| Past target date, not achieved | ${summary.overdue} |
+`;
+
+  const link = (item) => item.scheduleUrl ? `[${item.etsiNumber}](${item.scheduleUrl})` : item.etsiNumber;
+
+  md += '\n## Slipped in the Latest Scrape\n\n';
+  md += result.recentlySlipped.length === 0 ? 'None.\n' : '| Document | Milestone | Was | Now | Slip |\n|----------|-----------|-----|-----|------|\n'
+    + result.recentlySlipped.map(s => `| ${link(s)} | ${escapeMarkdown(s.milestone)} | ${s.previousTargetDate} | ${s.targetDate} | +${s.latestSlipDays} days |`).join('\n') + '\n';
+
+  md += '\n## Slipped Since First Recorded\n\n';
+  md += result.slipped.length === 0 ? 'None.\n' : '| Document | Milestone | First target | Current target | Slip |\n|----------|-----------|--------------|----------------|------|\n'
+    + result.slipped.map(s => `| ${link(s)} | ${escapeMarkdown(s.milestone)} | ${s.firstTargetDate} (as of ${s.firstRecorded}) | ${s.targetDate} | +${s.slipDays} days |`).join('\n') + '\n';
+
+  md += '\n## Past Target Date\n\n';
+  md += result.overdue.length === 0 ? 'None.\n' : '| Document | Milestone | Target | Overdue |\n|----------|-----------|--------|---------|\n'
+    + result.overdue.map(o => `| ${link(o)} | ${escapeMarkdown(o.milestone)} | ${o.targetDate} | ${o.overdueDays} days |`).join('\n') + '\n';
+
+  return md;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+scheduleSlips().catch(console.error);
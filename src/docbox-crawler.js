@@ -0,0 +1,124 @@
+/**
+ * ETSI Docbox Crawler
+ *
+ * Walks a docbox folder tree (https://docbox.etsi.org/ESI/ESI) through the
+ * directory listings served by the docbox web server and records every file
+ * with its size and modification date. Needs a logged-in ETSIClient.
+ */
+
+import { AuthError, RateLimitError } from './etsi-client.js';
+
+// Folders that hold drafts, change requests and meeting contributions
+const CATEGORIES = [
+  ['draft', /Draft/i],
+  ['cr', /(?:^|[^a-z])CRs?(?![a-z])|Change[\s_-]*Requests?/i],
+  ['contribution', /Contribution|CONTRIB/i],
+];
+
+// Recursively list the folder tree below rootPath (e.g. "/ESI/ESI/"). Returns every file and
+// folder; folders that could not be listed are returned in failed instead of aborting the crawl.
+// Only a lost session (AuthError) aborts it; a rate-limited folder is retried once after waiting
+export async function crawlDocbox(client, rootPath, options = {}) {
+  const { maxDepth = 6, exclude = null, delay = 300 } = options;
+  const files = [];
+  const folders = [];
+  const failed = [];
+
+  const queue = [{ path: withTrailingSlash(rootPath), depth: 0 }];
+  while (queue.length > 0) {
+    const folder = queue.shift();
+
+    let entries;
+    try {
+      const response = await client.getDocboxContent(folder.path);
+      entries = parseDocboxListing(await response.text(), folder.path);
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      if (error instanceof RateLimitError && !folder.retried) {
+        await sleep((error.retryAfter ?? 60) * 1000);
+        queue.unshift({ ...folder, retried: true });
+        continue;
+      }
+      failed.push({ path: folder.path, error: error.message });
+      continue;
+    }
+    folders.push(folder.path);
+
+    for (const entry of entries) {
+      if (exclude?.test(entry.path)) continue;
+      if (entry.isDirectory) {
+        if (folder.depth < maxDepth) {
+          queue.push({ path: entry.path, depth: folder.depth + 1 });
+        }
+      } else {
+        files.push({ ...entry, category: categorize(entry.path) });
+      }
+    }
+
+    // Rate limiting
+    await sleep(delay);
+  }
+
+  return { files, folders, failed };
+}
+
+// Docbox serves IIS directory listings:
+//   <pre><A HREF="/ESI/">[To Parent Directory]</A><br><br>
+//    3/4/2025 10:01 AM        &lt;dir&gt; <A HREF="/ESI/ESI/70-Drafts/">70-Drafts</A><br>
+//    3/4/2025 10:01 AM       123456 <A HREF="/ESI/ESI/70-Drafts/x.docx">x.docx</A><br>
+// Links outside the listed folder (parent directory, navigation) are ignored
+export function parseDocboxListing(html, dirPath) {
+  const entries = [];
+  const seen = new Set();
+  const base = withTrailingSlash(dirPath);
+  const linkPattern = /<a\s[^>]*href="([^"]+)"[^>]*>([^<]*)<\/a>/gi;
+
+  for (const line of html.split(/<br\s*\/?>|\n/i)) {
+    linkPattern.lastIndex = 0;
+    const link = linkPattern.exec(line);
+    if (!link) continue;
+
+    const href = new URL(decodeEntities(link[1]), `https://docbox.etsi.org${base}`).pathname;
+    if (!href.startsWith(base) || href === base || seen.has(href)) continue;
+    seen.add(href);
+
+    const meta = line.slice(0, link.index).replace(/<[^>]+>/g, ' ');
+    const listing = meta.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})\s*(AM|PM)?\s+(&lt;dir&gt;|<dir>|\d+)/i);
+    const isDirectory = href.endsWith('/') || /dir/i.test(listing?.[7] || '');
+
+    entries.push({
+      path: href,
+      name: decodeEntities(link[2]).trim() || decodeURIComponent(href.split('/').filter(Boolean).pop()),
+      isDirectory,
+      size: listing && !isDirectory ? parseInt(listing[7], 10) : null,
+      modified: listing ? listingDate(listing) : null,
+    });
+  }
+
+  return entries;
+}
+
+// "3/4/2025 1:05 PM" -> "2025-03-04T13:05" (US date order, docbox server time)
+function listingDate([, month, day, year, hours, minutes, meridiem]) {
+  let hour = parseInt(hours, 10);
+  if (meridiem) hour = hour % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${minutes}`;
+}
+
+function categorize(filePath) {
+  const match = CATEGORIES.find(([, pattern]) => pattern.test(decodeURIComponent(filePath)));
+  return match ? match[0] : 'other';
+}
+
+function decodeEntities(text) {
+  return text.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+}
+
+function withTrailingSlash(dirPath) {
+  return dirPath.endsWith('/') ? dirPath : `${dirPath}/`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,100 @@
+/**
+ * ETSI Deliverable Archives
+ *
+ * Some deliverables are published as ZIP archives holding the document (PDF or
+ * DOCX) together with its electronic attachments: ASN.1 modules, XML and JSON
+ * schemas, test data, sometimes as a nested ZIP. The document is unpacked next to
+ * the other specs for reference extraction; the attachments are unpacked into
+ * their own folder and listed per spec.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+// Delivered document names: en_31941201v010501p.pdf, ts_119612v020301p.docx
+const DELIVERABLE_NAME = /^(en|ts|tr|es|eg|sr)_\d+v\d{6}/i;
+const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.doc'];
+
+// Attachment kinds by file extension, for the attachment index
+const ATTACHMENT_KINDS = [
+  ['asn1', /\.(asn1?|asn\.1)$/i],
+  ['xsd', /\.xsd$/i],
+  ['json-schema', /\.schema\.json$|schema.*\.json$/i],
+  ['json', /\.json$/i],
+  ['xml', /\.(xml|xslt?)$/i],
+  ['yaml', /\.ya?ml$/i],
+  ['document', /\.(pdf|docx?)$/i],
+];
+
+export function attachmentKind(name) {
+  return ATTACHMENT_KINDS.find(([, pattern]) => pattern.test(name))?.[0] || 'other';
+}
+
+// The deliverable itself: a PDF named like a delivered ETSI file, otherwise the largest PDF in
+// the archive. PDFs win over Word files of the same deliverable, as Word files are only read
+// as drafts; a Word file is picked only when the archive holds no PDF
+export function pickPrimaryDocument(entries) {
+  const documents = entries.filter(e => DOCUMENT_EXTENSIONS.includes(path.extname(e.name).toLowerCase()));
+  const rank = (e) => [
+    path.extname(e.name).toLowerCase() === '.pdf' ? 1 : 0,
+    DELIVERABLE_NAME.test(path.basename(e.name)) ? 1 : 0,
+    e.size,
+  ];
+  return documents.sort((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    return rb[0] - ra[0] || rb[1] - ra[1] || rb[2] - ra[2];
+  })[0] || null;
+}
+
+// Unpack a deliverable archive: the primary document goes to documentDir, everything else
+// (nested archives unpacked) to attachmentsDir. Returns the document's file name and the
+// attachments with paths relative to attachmentsDir
+export async function unpackArchive(zipPath, { documentDir, attachmentsDir }) {
+  const entries = readEntries(new AdmZip(zipPath));
+  const primary = pickPrimaryDocument(entries);
+
+  if (primary) {
+    await fs.mkdir(documentDir, { recursive: true });
+    await fs.writeFile(path.join(documentDir, path.basename(primary.name)), primary.data());
+  }
+
+  const attachments = [];
+  await fs.rm(attachmentsDir, { recursive: true, force: true });
+  for (const entry of entries) {
+    if (entry === primary) continue;
+    await fs.mkdir(path.dirname(path.join(attachmentsDir, entry.name)), { recursive: true });
+    await fs.writeFile(path.join(attachmentsDir, entry.name), entry.data());
+    attachments.push({ file: entry.name, size: entry.size, kind: attachmentKind(entry.name) });
+  }
+
+  return { primary: primary ? path.basename(primary.name) : null, attachments };
+}
+
+// Files of an archive, with nested archives expanded into a folder named after them
+function readEntries(zip, prefix = '', depth = 0) {
+  const entries = [];
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) continue;
+    const name = safeEntryName(prefix + entry.entryName);
+    if (!name) continue;
+
+    if (/\.zip$/i.test(name) && depth < 2) {
+      try {
+        entries.push(...readEntries(new AdmZip(entry.getData()), name.replace(/\.zip$/i, '') + '/', depth + 1));
+        continue;
+      } catch (e) {
+        // Not a readable archive, keep it as a file
+      }
+    }
+    entries.push({ name, size: entry.header.size, data: () => entry.getData() });
+  }
+  return entries;
+}
+
+// Entry names are relative paths; anything escaping the target folder is dropped
+function safeEntryName(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized.startsWith('..') || normalized.startsWith('__MACOSX/')) return null;
+  return normalized;
+}
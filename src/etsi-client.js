@@ -1,3 +1,6 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import { CookieJar } from 'tough-cookie';
 import fetchCookie from 'fetch-cookie';
@@ -5,11 +8,57 @@ import fetchCookie from 'fetch-cookie';
 const BASE_URL = 'https://portal.etsi.org';
 const DOCBOX_URL = 'https://docbox.etsi.org';
 
+// Relative cookie file paths are resolved against the project root, as the scripts run from scripts/
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Everything below downloads/ is served and published to GitHub Pages, session cookies included
+const PUBLISHED_PATH = path.join(PROJECT_ROOT, 'downloads');
+
+// Rejected credentials, or a session that expired and could not be renewed
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// The portal asked us to slow down (429, or 503 with Retry-After); retryAfter is in seconds
+export class RateLimitError extends Error {
+  constructor(message, { status, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// An endpoint or page no longer looks the way the client expects: a moved URL or a
+// response in a format it cannot read. Retrying will not help, the client needs updating
+export class PortalChangedError extends Error {
+  constructor(message, { url = null } = {}) {
+    super(message);
+    this.name = 'PortalChangedError';
+    this.url = url;
+  }
+}
+
+// Login pages the portal and docbox redirect to when the session has expired
+// (e.g. /LoginRedirection.aspx?ReturnUrl=...)
+const LOGIN_URL_PATTERN = /login/i;
+
 export class ETSIClient {
-  constructor() {
+  // cookieFile: JSON file the session cookies are kept in between runs (defaults to
+  // ETSI_COOKIE_FILE), so a rerun does not log in again while the session is valid
+  constructor({ cookieFile = process.env.ETSI_COOKIE_FILE || null } = {}) {
     this.cookieJar = new CookieJar();
     this.fetch = fetchCookie(fetch, this.cookieJar);
     this.isLoggedIn = false;
+    this.cookieFile = cookieFile ? path.resolve(PROJECT_ROOT, cookieFile) : null;
+    this.credentials = null;
+
+    if (this.cookieFile && !path.relative(PUBLISHED_PATH, this.cookieFile).startsWith('..')) {
+      throw new Error(`Cookie file ${this.cookieFile} is inside downloads/, which is published - use e.g. .cache/etsi-session.json`);
+    }
   }
 
   getDefaultHeaders() {
@@ -30,70 +79,145 @@ export class ETSIClient {
     };
   }
 
+  // Log in to the ETSI portal, reusing the session in the cookie file if it is still valid.
+  // Throws AuthError when the credentials are rejected and PortalChangedError when the login
+  // endpoints moved; network errors are passed on as they are
   async login(username, password) {
     if (!username || !password) {
-      throw new Error('Username and password are required');
+      throw new AuthError('Username and password are required');
+    }
+    this.credentials = { username, password };
+
+    if (await this.restoreSession()) {
+      console.log('  → Reusing saved session');
+      this.isLoggedIn = true;
+      return true;
+    }
+    return this.authenticate();
+  }
+
+  // Full login with the stored credentials, also used to renew an expired session
+  async authenticate() {
+    const { username, password } = this.credentials;
+    this.isLoggedIn = false;
+
+    // Step 1: Visit home page to get initial cookies
+    console.log('  → Fetching initial session...');
+    const homeResponse = await this.fetch(`${BASE_URL}/home.aspx`, {
+      headers: this.getDefaultHeaders(),
+      method: 'GET'
+    });
+    checkResponse(homeResponse, 'Failed to load home page');
+
+    // Step 2: Perform login
+    console.log('  → Sending credentials...');
+    const loginResponse = await this.fetch(`${BASE_URL}/ETSIPages/LoginEOL.ashx`, {
+      headers: {
+        ...this.getDefaultHeaders(),
+        'accept': '*/*',
+        'content-type': 'application/json; charset=UTF-8',
+        'sec-fetch-dest': 'empty',
+        'sec-fetch-mode': 'cors',
+        'Referer': `${BASE_URL}/home.aspx`
+      },
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    if (loginResponse.status === 401 || loginResponse.status === 403) {
+      throw new AuthError(`Login rejected: ${loginResponse.status}`);
     }
+    checkResponse(loginResponse, 'Login request failed');
 
+    const loginResult = await loginResponse.text();
+    console.log('  → Login response:', loginResult.substring(0, 100));
+    if (isLoginRejected(loginResult)) {
+      throw new AuthError('Login rejected: check ETSI_USERNAME and ETSI_PASSWORD');
+    }
+
+    // Step 3: Verify login by checking success endpoint
+    console.log('  → Verifying login...');
+    await this.fetch(`${BASE_URL}/ETSIPages/success.txt`, {
+      headers: {
+        ...this.getDefaultHeaders(),
+        'accept': '*/*',
+        'sec-fetch-dest': 'empty',
+        'sec-fetch-mode': 'cors',
+        'Referer': `${BASE_URL}/home.aspx`
+      },
+      method: 'GET'
+    });
+
+    // Step 4: Re-visit home page to confirm session
+    const verifyResponse = await this.fetch(`${BASE_URL}/home.aspx`, {
+      headers: this.getDefaultHeaders(),
+      method: 'GET'
+    });
+    checkResponse(verifyResponse, 'Failed to confirm session');
+
+    this.isLoggedIn = true;
+    await this.saveSession();
+    return true;
+  }
+
+  // Load the cookies saved by an earlier run and check that the portal still knows the session
+  async restoreSession() {
+    if (!this.cookieFile) return false;
     try {
-      // Step 1: Visit home page to get initial cookies
-      console.log('  → Fetching initial session...');
-      const homeResponse = await this.fetch(`${BASE_URL}/home.aspx`, {
-        headers: this.getDefaultHeaders(),
-        method: 'GET'
-      });
-
-      if (!homeResponse.ok) {
-        throw new Error(`Failed to load home page: ${homeResponse.status}`);
-      }
+      const saved = JSON.parse(await fs.readFile(this.cookieFile, 'utf-8'));
+      this.cookieJar = CookieJar.deserializeSync(saved.cookies);
+      this.fetch = fetchCookie(fetch, this.cookieJar);
+    } catch (e) {
+      // No saved session
+      return false;
+    }
+    if (await this.hasSession()) return true;
 
-      // Step 2: Perform login
-      console.log('  → Sending credentials...');
-      const loginResponse = await this.fetch(`${BASE_URL}/ETSIPages/LoginEOL.ashx`, {
-        headers: {
-          ...this.getDefaultHeaders(),
-          'accept': '*/*',
-          'content-type': 'application/json; charset=UTF-8',
-          'sec-fetch-dest': 'empty',
-          'sec-fetch-mode': 'cors',
-          'Referer': `${BASE_URL}/home.aspx`
-        },
-        method: 'POST',
-        body: JSON.stringify({ username, password })
-      });
-
-      if (!loginResponse.ok) {
-        throw new Error(`Login request failed: ${loginResponse.status}`);
+    // Expired: start over with an empty jar
+    this.cookieJar = new CookieJar();
+    this.fetch = fetchCookie(fetch, this.cookieJar);
+    return false;
+  }
+
+  async saveSession() {
+    if (!this.cookieFile) return;
+    await fs.mkdir(path.dirname(this.cookieFile), { recursive: true });
+    const tempFile = `${this.cookieFile}.tmp`;
+    // Session cookies are credentials: readable by the owner only
+    await fs.writeFile(tempFile, JSON.stringify({ savedAt: new Date().toISOString(), cookies: this.cookieJar.serializeSync() }), { mode: 0o600 });
+    await fs.rename(tempFile, this.cookieFile);
+  }
+
+  // The portal home page offers a logout link only to logged-in users
+  async hasSession() {
+    const response = await this.fetch(`${BASE_URL}/home.aspx`, { headers: this.getDefaultHeaders() });
+    return response.ok && /log\s*out|logoff|sign\s*out/i.test(await response.text());
+  }
+
+  // Every portal and docbox request goes through here: rate limiting and portal changes are
+  // raised as typed errors, and a request that lands on the login page after the session
+  // expired is repeated once after logging in again with the stored credentials
+  async request(url, options = {}) {
+    let response = await this.fetch(url, options);
+
+    if (this.isLoggedIn && isSessionExpired(response)) {
+      if (!this.credentials) {
+        throw new AuthError(`Session expired: ${url}`);
+      }
+      console.log('  → Session expired, logging in again...');
+      await this.authenticate();
+      response = await this.fetch(url, options);
+      if (isSessionExpired(response)) {
+        throw new AuthError(`Still not authorized after logging in again: ${url}`);
       }
+    }
 
-      const loginResult = await loginResponse.text();
-      console.log('  → Login response:', loginResult.substring(0, 100));
-
-      // Step 3: Verify login by checking success endpoint
-      console.log('  → Verifying login...');
-      const successResponse = await this.fetch(`${BASE_URL}/ETSIPages/success.txt`, {
-        headers: {
-          ...this.getDefaultHeaders(),
-          'accept': '*/*',
-          'sec-fetch-dest': 'empty',
-          'sec-fetch-mode': 'cors',
-          'Referer': `${BASE_URL}/home.aspx`
-        },
-        method: 'GET'
-      });
-
-      // Step 4: Re-visit home page to confirm session
-      const verifyResponse = await this.fetch(`${BASE_URL}/home.aspx`, {
-        headers: this.getDefaultHeaders(),
-        method: 'GET'
-      });
-
-      this.isLoggedIn = verifyResponse.ok;
-      return this.isLoggedIn;
-    } catch (error) {
-      console.error('Login error:', error.message);
-      return false;
+    checkRateLimit(response, url);
+
+    // Sessions are renewed by the server as they are used; keep the saved copy current
+    if (this.isLoggedIn && response.headers.has('set-cookie')) {
+      await this.saveSession();
     }
+    return response;
   }
 
   async getMeetings(options = {}) {
@@ -113,7 +237,7 @@ export class ETSIClient {
 
     const opts = { ...defaultOptions, ...options };
 
-    const response = await this.fetch(`${BASE_URL}/webservices/Rest/Meetings.svc/GetMeetings`, {
+    const response = await this.request(`${BASE_URL}/webservices/Rest/Meetings.svc/GetMeetings`, {
       headers: {
         ...this.getDefaultHeaders(),
         'accept': 'application/json, text/plain, */*',
@@ -140,18 +264,19 @@ export class ETSIClient {
       })
     });
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch meetings: ${response.status}`);
-    }
+    checkResponse(response, 'Failed to fetch meetings');
 
-    const data = await response.json();
+    const data = await response.json().catch(() => null);
+    if (!data?.GetMeetingsResult && !data?.d) {
+      throw new PortalChangedError('Unexpected meetings response', { url: response.url });
+    }
     return data.GetMeetingsResult?.Meetings || data.d?.Meetings || [];
   }
 
   async fetchWithAuth(url, options = {}) {
     const defaultHeaders = this.getDefaultHeaders();
     
-    return this.fetch(url, {
+    return this.request(url, {
       ...options,
       headers: {
         ...defaultHeaders,
@@ -167,7 +292,7 @@ export class ETSIClient {
     // First, ensure we have docbox cookies by visiting the base
     const portalCookies = this.getCookies();
     
-    const response = await this.fetch(url, {
+    const response = await this.request(url, {
       headers: {
         ...this.getDefaultHeaders(),
         'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -188,7 +313,7 @@ export class ETSIClient {
   async downloadDocboxFile(filePath) {
     const url = `${DOCBOX_URL}${filePath}`;
     
-    const response = await this.fetch(url, {
+    const response = await this.request(url, {
       headers: {
         ...this.getDefaultHeaders(),
         'accept': '*/*',
@@ -208,3 +333,52 @@ export class ETSIClient {
     return this.cookieJar.getCookieStringSync(DOCBOX_URL);
   }
 }
+
+function checkRateLimit(response, url) {
+  if (response.status === 429 || (response.status === 503 && response.headers.has('retry-after'))) {
+    throw new RateLimitError(`Rate limited by ${new URL(url).host}: ${response.status}`, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+}
+
+// Throw a typed error for a failed response: a missing endpoint means the portal changed
+function checkResponse(response, message) {
+  checkRateLimit(response, response.url);
+  if (response.status === 404 || response.status === 410) {
+    throw new PortalChangedError(`${message}: ${response.status}`, { url: response.url });
+  }
+  if (!response.ok) {
+    throw new Error(`${message}: ${response.status}`);
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Requests made without a valid session are answered with 401 or redirected to a login page
+function isSessionExpired(response) {
+  return response.status === 401 || (response.redirected && LOGIN_URL_PATTERN.test(new URL(response.url).pathname));
+}
+
+// LoginEOL.ashx answers with a JSON status (or a plain message) rather than an HTTP error
+function isLoginRejected(text) {
+  try {
+    const result = JSON.parse(text);
+    const status = Array.isArray(result) ? result[0] : result;
+    if (status && typeof status === 'object') {
+      const success = status.Success ?? status.success ?? status.IsSuccess;
+      if (success !== undefined) return success === false || success === 'false';
+    }
+    if (result === false) return true;
+  } catch (e) {
+    // Plain text response
+  }
+  return /invalid|incorrect|wrong|failed/i.test(text);
+}
@@ -0,0 +1,78 @@
+/**
+ * EUDI-Relevant ETSI Specifications
+ *
+ * The ETSI ESI specs that make up the EUDI Wallet ecosystem. Used by the
+ * reference extractor (EUDI mode) and the docbox crawler (which drafts to
+ * download).
+ */
+
+// EUDI Wallet ecosystem relevant specifications
+// These are the core specs for the European Digital Identity Wallet
+export const EUDI_RELEVANT_SPECS = new Set([
+  // Trust Services - Core
+  'TS 119 102-1', 'TS 119 102-2',
+  'EN 319 102-1',
+  'EN 319 401', 'EN 319 403',
+  
+  // Electronic Signatures (AdES)
+  'EN 319 122-1', 'EN 319 122-2', // CAdES
+  'EN 319 132-1', 'EN 319 132-2', // XAdES
+  'EN 319 142-1', 'EN 319 142-2', // PAdES
+  'TS 119 182-1', 'TS 119 182-2', // JAdES
+  
+  // Signature Creation & Validation
+  'EN 319 112-1', 'TS 119 172-1', 'TS 119 172-2', 'TS 119 172-3', 'TS 119 172-4',
+  'TS 119 192',
+  
+  // Trust Lists
+  'TS 119 612', 'TS 119 614-1', 'TS 119 615',
+  
+  // Certificates & PKI
+  'EN 319 411-1', 'EN 319 411-2', 'EN 319 412-1', 'EN 319 412-2', 'EN 319 412-3', 'EN 319 412-4', 'EN 319 412-5',
+  'EN 319 421', 'EN 319 422',
+  
+  // Remote Signing
+  'TS 119 431-1', 'TS 119 431-2', 'TS 119 432',
+  'TS 119 441',
+  
+  // Wallet & Credentials - The core EUDI specs
+  'TS 119 461', 'TS 119 462',
+  'TS 119 471', 'TS 119 472-1', 'TS 119 472-2', 'TS 119 472-3',
+  'TS 119 475', 'TS 119 476', 'TS 119 476-1', 'TS 119 478', 'TS 119 479-1', 'TS 119 479-2',
+  'TS 119 495',
+  
+  // Preservation
+  'TS 119 511', 'TS 119 512',
+  'TS 119 524-1', 'TS 119 524-2',
+  'TS 119 534-1', 'TS 119 534-2',
+  
+  // Registered E-Mail / E-Delivery  
+  'EN 319 521', 'EN 319 522-1', 'EN 319 522-2', 'EN 319 522-3',
+  'EN 319 531', 'EN 319 532-1', 'EN 319 532-2', 'EN 319 532-3', 'EN 319 532-4',
+  
+  // Policy & Security Requirements
+  'TS 119 541', 'TS 119 542',
+  'TS 119 602',
+  
+  // Cryptographic Suites
+  'TS 119 312',
+  
+  // Technical Reports & Guidance for EUDI
+  'TR 119 000', 'TR 119 001', 'TR 119 100',
+  'TR 119 400', 'TR 119 460', 'TR 119 476', 'TR 119 476-1',
+  'TR 119 500', 'TR 119 520-1', 'TR 119 520-2', 'TR 119 530', 'TR 119 540',
+  'TR 119 600',
+]);
+
+// Relevance is decided per spec (without edition): listed specs, parts of listed
+// specs ("TS 119 472-2" of "TS 119 472") and the whole 119 series
+export function isEudiEtsiSpec(spec) {
+  if (EUDI_RELEVANT_SPECS.has(spec)) return true;
+  
+  // Check if it's a sub-part of a relevant spec series
+  const baseSpec = spec.replace(/-\d+$/, '');
+  if (EUDI_RELEVANT_SPECS.has(baseSpec)) return true;
+  
+  // Check 119 xxx series - all are EUDI relevant
+  return /^(TS|TR|EN)\s+119\s+\d/.test(spec);
+}
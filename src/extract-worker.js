@@ -0,0 +1,20 @@
+/**
+ * Reference Extraction Worker
+ *
+ * Worker thread entry point for `extract-references.js --jobs N`. Receives
+ * { source, file } parse tasks (source being a document source adapter name)
+ * and replies with { refs } or { error }.
+ */
+
+import { parentPort } from 'worker_threads';
+import { extractDocumentReferences } from './reference-parser.js';
+import { getSource } from './sources/index.js';
+
+parentPort.on('message', async ({ source, file }) => {
+  try {
+    const refs = await extractDocumentReferences(getSource(source), file);
+    parentPort.postMessage({ refs });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
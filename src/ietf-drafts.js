@@ -0,0 +1,71 @@
+/**
+ * IETF Internet-Drafts
+ *
+ * Recognises draft-ietf-* citations and splits them into draft name and
+ * revision, mirroring how ETSI editions are tracked: "draft-ietf-oauth-sd-jwt-vc-05"
+ * is revision 05 of "draft-ietf-oauth-sd-jwt-vc", an unversioned name cites the
+ * latest revision.
+ */
+
+// Working group drafts, with or without revision ("-05"), as cited by name or URL
+const DRAFT_PATTERN = /\bdraft-ietf-[a-z0-9]+(?:-[a-z0-9]+)+/gi;
+
+// xml2rfc citation keys: [I-D.ietf-oauth-status-list]
+const CITATION_KEY_PATTERN = /\bI-D\.(ietf-[a-z0-9]+(?:-[a-z0-9]+)+)/gi;
+
+// Drafts that are commonly cited by their short title instead of the draft name
+export const DRAFT_ALIASES = {
+  'SD-JWT': 'draft-ietf-oauth-selective-disclosure-jwt',
+  'SD-JWT VC': 'draft-ietf-oauth-sd-jwt-vc',
+};
+
+// Find all Internet-Drafts cited in a piece of text
+export function extractDraftRefs(text) {
+  const refs = new Set();
+  text = joinWrappedDraftNames(text);
+
+  DRAFT_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = DRAFT_PATTERN.exec(text)) !== null) {
+    // "-latest" is the datatracker alias for the current revision
+    refs.add(match[0].toLowerCase().replace(/-latest$/, ''));
+  }
+
+  CITATION_KEY_PATTERN.lastIndex = 0;
+  while ((match = CITATION_KEY_PATTERN.exec(text)) !== null) {
+    refs.add(`draft-${match[1].toLowerCase()}`);
+  }
+
+  // An unversioned mention adds nothing when the draft is also cited with a revision
+  for (const ref of refs) {
+    if (!parseDraftName(ref).version && [...refs].some(r => r !== ref && parseDraftName(r).spec === ref)) {
+      refs.delete(ref);
+    }
+  }
+
+  return refs;
+}
+
+// Text with draft names blanked out, so their parts ("sd-jwt-vc") are not matched as other references
+export function stripDraftRefs(text) {
+  return joinWrappedDraftNames(text).replace(DRAFT_PATTERN, ' ').replace(CITATION_KEY_PATTERN, ' ');
+}
+
+// Plain-text RFCs and drafts break long names at hyphens: "draft-ietf-oauth-selective-\n      disclosure-jwt-22"
+function joinWrappedDraftNames(text) {
+  return text.replace(/(\bdraft-ietf-[a-z0-9-]*-)\n\s*/gi, '$1');
+}
+
+export function isInternetDraft(docId) {
+  return /^draft-/.test(docId);
+}
+
+// Split a draft ID into name and revision: "draft-ietf-oauth-sd-jwt-vc-05" -> { spec: "draft-ietf-oauth-sd-jwt-vc", version: "05" }
+export function parseDraftName(docId) {
+  const match = docId.match(/^(.*?)(?:-(\d{2}))?$/);
+  return { spec: match[1], version: match[2] || null };
+}
+
+export function formatDraftName(spec, version) {
+  return version ? `${spec}-${version}` : spec;
+}
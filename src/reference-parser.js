@@ -0,0 +1,366 @@
+/**
+ * Reference Parser
+ *
+ * Extracts normative and informative references from specification documents.
+ * Format-specific parsing lives in the document source adapters (src/sources/);
+ * this module is kept free of CLI state so it can run both in the main process
+ * and in the worker threads of extract-references.js.
+ */
+
+import { extractW3cRefs } from './w3c-specs.js';
+import { DRAFT_ALIASES, extractDraftRefs, stripDraftRefs, parseDraftName } from './ietf-drafts.js';
+
+// Bump whenever the extraction logic changes so cached results are re-parsed
+export const EXTRACTOR_VERSION = 6;
+
+// Regex patterns for different reference types
+const REF_PATTERNS = {
+  // ETSI documents, optionally followed by the cited edition, e.g. "EN 319 412-1 (V1.4.1)"
+  etsi: [
+    /ETSI\s+(EN|TS|TR|ES|EG|SR)\s+(\d{3}\s*\d{3}(?:-\d+)?)(?:\s*\(?\s*V\s*(\d+\.\d+\.\d+)\)?)?/gi,
+    /(?<![A-Z])(EN|TS|TR|ES|EG|SR)\s+(\d{3}\s*\d{3}(?:-\d+)?)(?:\s*\(?\s*V\s*(\d+\.\d+\.\d+)\)?)?/gi,
+  ],
+  // IETF RFCs
+  ietf: [
+    /RFC\s*(\d{3,5})/gi,
+  ],
+  // ISO/IEC standards
+  iso: [
+    /ISO(?:\/IEC)?\s+(\d+(?:[-–]\d+)*)/gi,
+  ],
+  // ITU-T recommendations
+  itu: [
+    /ITU-T\s+([A-Z]\.?\s*\d+(?:\.\d+)?)/gi,
+  ],
+  // OpenID Foundation (OIDF) specifications
+  oidf: [
+    /OpenID4VP(?:\s+[\d.]+)?/gi,
+    /OpenID4VCI(?:\s+[\d.]+)?/gi,
+    /OpenID4VC(?:-HAIP)?(?:\s+[\d.]+)?/gi,
+    /OpenID\s+Connect(?:\s+Core)?(?:\s+[\d.]+)?/gi,
+    /OpenID\s+for\s+Verifiable\s+(?:Presentations?|Credentials?)(?:\s+[\d.]+)?/gi,
+    /SD-JWT(?:\s+VC)?/gi,
+    /\bHAIP\b/g,
+  ],
+  // CEN/CENELEC European standards
+  cen: [
+    /(?:CEN|CENELEC)\s+(\d+(?:[-–]\d+)*)/gi,
+  ],
+};
+
+// Extract references from a document using its source adapter (see src/sources/index.js)
+export async function extractDocumentReferences(source, filePath) {
+  const document = await source.extractText(filePath);
+  const { text } = document;
+
+  // Find the References section
+  const refsSection = source.locateReferenceSections(document);
+  
+  // Bracket keys of the reference list ([1], [i.3]), their in-body usage and clause-level citations
+  const referenceKeys = buildReferenceKeyMap(refsSection);
+  const citationCounts = countKeyCitations(text, refsSection, referenceKeys);
+  const clauses = extractClauseCitations(text, referenceKeys);
+  
+  const normative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
+  const informative = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
+  const all = { etsi: new Set(), ietf: new Set(), iso: new Set(), itu: new Set(), w3c: new Set(), oidf: new Set() };
+
+  // Extract from normative section
+  if (refsSection.normative) {
+    const refs = extractAllRefs(refsSection.normative);
+    for (const [type, set] of Object.entries(refs)) {
+      for (const ref of set) {
+        normative[type]?.add(ref);
+        all[type]?.add(ref);
+      }
+    }
+  }
+
+  // Extract from informative section
+  if (refsSection.informative) {
+    const refs = extractAllRefs(refsSection.informative);
+    for (const [type, set] of Object.entries(refs)) {
+      for (const ref of set) {
+        if (!normative[type]?.has(ref)) {
+          informative[type]?.add(ref);
+        }
+        all[type]?.add(ref);
+      }
+    }
+  }
+
+  // If no structured sections found, search whole document
+  const hasStructuredRefs = Object.values(all).some(set => set.size > 0);
+  if (!hasStructuredRefs) {
+    const refs = extractAllRefs(text);
+    for (const [type, set] of Object.entries(refs)) {
+      for (const ref of set) {
+        all[type]?.add(ref);
+      }
+    }
+  }
+
+  // Convert to arrays
+  const toArrays = (obj) => {
+    const result = {};
+    for (const [type, set] of Object.entries(obj)) {
+      result[type] = Array.from(set).sort();
+    }
+    return result;
+  };
+
+  return {
+    normative: toArrays(normative),
+    informative: toArrays(informative),
+    all: toArrays(all),
+    referenceKeys: Object.fromEntries(referenceKeys),
+    citationCounts,
+    clauses,
+    ...(source.documentRelations && { relations: source.documentRelations(document) }),
+  };
+}
+
+// Normative/informative sections of ETSI deliverables (clauses 2.1 and 2.2)
+export function extractReferencesSection(text) {
+  const result = { normative: null, informative: null };
+  
+  // Common section patterns
+  const normativePatterns = [
+    /(?:^|\n)\s*2\.?1?\s*Normative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:2\.?2|3|Informative|Definition|Terms|Abbreviation))/i,
+    /(?:^|\n)\s*Normative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:Informative|Definition|Terms|Abbreviation|\d+\s+[A-Z]))/i,
+  ];
+  
+  const informativePatterns = [
+    /(?:^|\n)\s*2\.?2?\s*Informative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:3|Definition|Terms|Abbreviation|\d+\s+[A-Z]))/i,
+    /(?:^|\n)\s*Informative\s+references?\s*\n([\s\S]*?)(?=\n\s*(?:Definition|Terms|Abbreviation|\d+\s+[A-Z]))/i,
+  ];
+  
+  for (const pattern of normativePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      result.normative = match[1];
+      break;
+    }
+  }
+  
+  for (const pattern of informativePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      result.informative = match[1];
+      break;
+    }
+  }
+  
+  return result;
+}
+
+function extractAllRefs(text) {
+  const refs = {
+    etsi: new Set(),
+    ietf: new Set(),
+    iso: new Set(),
+    itu: new Set(),
+    w3c: new Set(),
+    oidf: new Set(),
+    cen: new Set(),
+  };
+  
+  // Extract ETSI refs
+  for (const pattern of REF_PATTERNS.etsi) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const type = match[1].toUpperCase();
+      const number = match[2].replace(/\s+/g, ' ').trim();
+      refs.etsi.add(formatDocId(`${type} ${number}`, match[3]));
+    }
+  }
+  
+  // Drop undated mentions of a spec that is also cited with an explicit edition
+  for (const ref of refs.etsi) {
+    if (!parseDocId(ref).version && [...refs.etsi].some(r => r.startsWith(`${ref} V`))) {
+      refs.etsi.delete(ref);
+    }
+  }
+  
+  // Extract IETF RFCs
+  for (const pattern of REF_PATTERNS.ietf) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      refs.ietf.add(`RFC ${match[1]}`);
+    }
+  }
+  
+  // Extract IETF Internet-Drafts
+  for (const ref of extractDraftRefs(text)) {
+    refs.ietf.add(ref);
+  }
+  
+  // Extract ISO/IEC
+  for (const pattern of REF_PATTERNS.iso) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const num = match[1].replace(/[–]/g, '-');
+      refs.iso.add(`ISO ${num}`);
+    }
+  }
+  
+  // Extract ITU-T
+  for (const pattern of REF_PATTERNS.itu) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const rec = match[1].replace(/\s+/g, '').replace(/\./g, '');
+      refs.itu.add(`ITU-T ${rec}`);
+    }
+  }
+  
+  // Extract W3C (resolved to TR short names)
+  for (const ref of extractW3cRefs(text)) {
+    refs.w3c.add(ref);
+  }
+  
+  // Extract OIDF (OpenID Foundation), ignoring parts of draft names ("draft-ietf-oauth-sd-jwt-vc")
+  const oidfText = stripDraftRefs(text);
+  for (const pattern of REF_PATTERNS.oidf) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(oidfText)) !== null) {
+      let spec = match[0].trim();
+      // Normalize common variations
+      if (/OpenID4VP/i.test(spec)) spec = 'OpenID4VP';
+      else if (/OpenID4VCI/i.test(spec)) spec = 'OpenID4VCI';
+      else if (/OpenID4VC-HAIP|OpenID4VC HAIP/i.test(spec)) spec = 'OpenID4VC-HAIP';
+      else if (/OpenID4VC/i.test(spec)) spec = 'OpenID4VC';
+      else if (/OpenID\s+(for\s+)?Verifiable\s+Presentation/i.test(spec)) spec = 'OpenID4VP';
+      else if (/OpenID\s+(for\s+)?Verifiable\s+Credential/i.test(spec)) spec = 'OpenID4VCI';
+      else if (/OpenID\s+Connect/i.test(spec)) spec = 'OpenID Connect';
+      else if (/SD-JWT\s*VC/i.test(spec)) spec = 'SD-JWT VC';
+      else if (/SD-JWT/i.test(spec)) spec = 'SD-JWT';
+      else if (/^HAIP$/i.test(spec)) spec = 'HAIP';
+      
+      // SD-JWT and SD-JWT VC are IETF drafts, cited by their short title
+      if (DRAFT_ALIASES[spec]) {
+        if (![...refs.ietf].some(ref => parseDraftName(ref).spec === DRAFT_ALIASES[spec])) {
+          refs.ietf.add(DRAFT_ALIASES[spec]);
+        }
+      } else {
+        refs.oidf.add(spec);
+      }
+    }
+  }
+  
+  return refs;
+}
+
+// Map reference list keys to the document they cite: "[1] ETSI EN 319 412-1 (V1.4.1): ..." -> { '1': 'EN 319 412-1 V1.4.1' }
+function buildReferenceKeyMap(refsSection) {
+  const keys = new Map();
+  const sectionText = [refsSection.normative, refsSection.informative].filter(Boolean).join('\n');
+  const entryPattern = /\[((?:i\.)?\d+)\]\s*([\s\S]*?)(?=\[(?:i\.)?\d+\]|$)/g;
+  
+  let match;
+  while ((match = entryPattern.exec(sectionText)) !== null) {
+    const refs = extractAllRefs(match[2]);
+    // An entry may mention several documents ("Recommendation ITU-T X.509 | ISO/IEC 9594-8"),
+    // prefer the issuing body's own identifier
+    for (const type of ['etsi', 'ietf', 'oidf', 'itu', 'iso', 'w3c']) {
+      const [first] = refs[type];
+      if (first) {
+        keys.set(match[1], type === 'etsi' ? normalizeDocId(first) : first);
+        break;
+      }
+    }
+  }
+  
+  return keys;
+}
+
+// Find clause-level citations in the body text, keyed by cited spec: { 'EN 319 411-1': ['4', '6.3.2'] }.
+// Ranges are kept as one citation: "clauses 5.1 to 5.3" -> '5.1-5.3'
+function extractClauseCitations(text, referenceKeys) {
+  const clauses = {};
+  const clauseList = '(?:[A-Z]\\.)?\\d+(?:\\.\\d+)*(?:\\s*(?:,|and|or|to)\\s*(?:[A-Z]\\.)?\\d+(?:\\.\\d+)*)*';
+  const target = '(?:ETSI\\s+)?(?:EN|TS|TR|ES|EG|SR)\\s+\\d{3}\\s*\\d{3}(?:-\\d+)?|(?:IETF\\s+)?RFC\\s*\\d{3,5}|\\[(?:i\\.)?\\d+\\]';
+  const patterns = [
+    // "clause 6.3.2 of ETSI EN 319 411-1", "clauses 5 and 6 of [2]"
+    { regex: new RegExp(`\\bclauses?\\s+(${clauseList})\\s+of\\s+(?:the\\s+)?(${target})`, 'gi'), clauseGroup: 1, targetGroup: 2 },
+    // "[1], clause 4", "ETSI TS 119 612 [i.3], clauses 5.1 to 5.3"
+    { regex: new RegExp(`(\\[(?:i\\.)?\\d+\\])\\s*,?\\s*clauses?\\s+(${clauseList})`, 'gi'), clauseGroup: 2, targetGroup: 1 },
+  ];
+  
+  for (const { regex, clauseGroup, targetGroup } of patterns) {
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const spec = resolveClauseTarget(match[targetGroup], referenceKeys);
+      if (!spec) continue;
+      
+      if (!clauses[spec]) clauses[spec] = new Set();
+      const list = match[clauseGroup].replace(/\s*\bto\b\s*/g, '-');
+      for (const clause of list.split(/\s*(?:,|\band\b|\bor\b)\s*/)) {
+        if (clause) clauses[spec].add(clause);
+      }
+    }
+  }
+  
+  return Object.fromEntries(
+    Object.entries(clauses).map(([spec, set]) => [spec, [...set].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))])
+  );
+}
+
+// Count how often each reference key is cited in the body text, keyed by cited spec: { 'EN 319 412-1': 7 }
+function countKeyCitations(text, refsSection, referenceKeys) {
+  // The reference list itself is not body text
+  let body = text;
+  for (const section of [refsSection.normative, refsSection.informative]) {
+    if (section) body = body.replace(section, '');
+  }
+  
+  const counts = {};
+  for (const ref of referenceKeys.values()) {
+    counts[parseDocId(ref).spec] = 0;
+  }
+  
+  const keyPattern = /\[((?:i\.)?\d+)\]/g;
+  let match;
+  while ((match = keyPattern.exec(body)) !== null) {
+    const ref = referenceKeys.get(match[1]);
+    if (ref) counts[parseDocId(ref).spec]++;
+  }
+  
+  return counts;
+}
+
+// Resolve the target of a clause citation to a spec ID (without edition)
+function resolveClauseTarget(targetText, referenceKeys) {
+  const keyMatch = targetText.match(/^\[((?:i\.)?\d+)\]$/);
+  const ref = keyMatch ? referenceKeys.get(keyMatch[1]) : normalizeDocId(targetText) || targetText.match(/RFC\s*\d+/i)?.[0].replace(/RFC\s*/i, 'RFC ');
+  return ref ? parseDocId(ref).spec : null;
+}
+
+export function normalizeDocId(ref) {
+  if (!ref) return null;
+  
+  // Normalize: "EN 319 412-1" format, keeping the edition if one is given ("EN 319 412-1 V1.4.1")
+  const match = ref.match(/(EN|TS|TR|ES|EG|SR)\s*(\d{3})\s*(\d{3})(?:-(\d+))?(?:\s*\(?\s*V\s*(\d+\.\d+\.\d+))?/i);
+  if (match) {
+    const type = match[1].toUpperCase();
+    const num1 = match[2];
+    const num2 = match[3];
+    const part = match[4] ? `-${parseInt(match[4], 10)}` : '';
+    return formatDocId(`${type} ${num1} ${num2}${part}`, match[5]);
+  }
+  return null;
+}
+
+// Split a node ID into spec and edition: "EN 319 412-1 V1.4.1" -> { spec: "EN 319 412-1", version: "1.4.1" }
+export function parseDocId(docId) {
+  const match = docId.match(/^(.*?)(?:\s+V(\d+\.\d+\.\d+))?$/);
+  return { spec: match[1], version: match[2] || null };
+}
+
+export function formatDocId(spec, version) {
+  return version ? `${spec} V${version}` : spec;
+}
@@ -0,0 +1,141 @@
+/**
+ * Schema Attachment Index
+ *
+ * Reads the machine-readable attachments of ETSI deliverables (ASN.1 modules, XML
+ * schemas, JSON schemas, OpenAPI definitions) and records what each one defines
+ * (XML namespaces, ASN.1 modules, schema IDs) and what it imports from elsewhere:
+ *   - XSD <xs:import namespace="..."> and <xs:include schemaLocation="...">
+ *   - ASN.1 IMPORTS ... FROM <module>
+ *   - JSON Schema / OpenAPI "$ref" to other files or URLs
+ * Imports are resolved to the specs defining them when the reference graph is built.
+ */
+
+import path from 'path';
+
+// Bump whenever the indexing logic changes so unpacked attachments are indexed again
+export const SCHEMA_INDEX_VERSION = 1;
+
+// Namespaces every schema uses; importing them says nothing about dependencies
+const IGNORED_NAMESPACES = new Set([
+  'http://www.w3.org/2001/XMLSchema',
+  'http://www.w3.org/XML/1998/namespace',
+]);
+
+// Definitions of schemas that are not delivered as attachments of a downloaded spec:
+// namespace, module or schema URL -> graph node ID (ETSI IDs without edition)
+export const KNOWN_DEFINITIONS = new Map([
+  ['http://www.w3.org/2000/09/xmldsig#', 'W3C xmldsig-core'],
+  ['http://www.w3.org/2009/xmldsig11#', 'W3C xmldsig-core1'],
+  ['http://uri.etsi.org/01903/v1.3.2#', 'EN 319 132-1'],
+  ['http://uri.etsi.org/01903/v1.4.1#', 'EN 319 132-1'],
+  ['http://uri.etsi.org/02231/v2#', 'TS 119 612'],
+  ['http://uri.etsi.org/19132/v1.1.1#', 'EN 319 132-1'],
+  ['http://uri.etsi.org/19612/v2.3.1#', 'TS 119 612'],
+  ['http://uri.etsi.org/19102/v1.2.1#', 'TS 119 102-2'],
+  ['http://uri.etsi.org/19182/v1.1.1#', 'TS 119 182-1'],
+  ['PKIX1Explicit88', 'RFC 5280'],
+  ['PKIX1Implicit88', 'RFC 5280'],
+  ['PKIX1Explicit-2009', 'RFC 5912'],
+  ['PKIX1Implicit-2009', 'RFC 5912'],
+  ['CryptographicMessageSyntax2004', 'RFC 5652'],
+  ['CryptographicMessageSyntax-2009', 'RFC 6268'],
+  ['ExtendedSecurityServices-2006', 'RFC 5035'],
+  ['PKIXAttributeCertificate', 'RFC 5755'],
+  ['PKIXqualified97', 'RFC 3739'],
+  ['PKIXqualified88', 'RFC 3739'],
+  ['PKIX-TSP', 'RFC 3161'],
+  ['OCSP-2009', 'RFC 6960'],
+]);
+
+// Index a schema attachment. Returns the refined kind (JSON files are told apart by
+// content) with what the file defines and imports, or null for non-schema files
+export function indexSchema(name, content) {
+  const text = content.toString('utf-8').replace(/^\uFEFF/, '');
+
+  if (/\.xsd$/i.test(name) || (/\.xml$/i.test(name) && /<(?:\w+:)?schema[\s>]/.test(text))) {
+    return { kind: 'xsd', ...indexXmlSchema(text) };
+  }
+  if (/\.(asn1?|asn\.1)$/i.test(name) || /DEFINITIONS[\s\w]*::=\s*BEGIN/.test(text)) {
+    return { kind: 'asn1', ...indexAsn1(text) };
+  }
+  if (/\.(json|ya?ml)$/i.test(name)) {
+    if (/^\s*["']?(?:openapi|swagger)["']?\s*:/m.test(text)) {
+      return { kind: 'openapi', defines: [], imports: externalRefs(text) };
+    }
+    if (/["']?\$schema["']?\s*:/.test(text) || /["']?\$id["']?\s*:/.test(text)) {
+      return { kind: 'json-schema', ...indexJsonSchema(text) };
+    }
+  }
+  return null;
+}
+
+// <xs:schema targetNamespace="..."> with its <xs:import>s and <xs:include>s
+function indexXmlSchema(text) {
+  const defines = [];
+  const imports = [];
+  const attr = (tag, name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`))?.[1];
+
+  const schemaTag = text.match(/<(?:\w+:)?schema\b[^>]*>/)?.[0];
+  const targetNamespace = schemaTag && attr(schemaTag, 'targetNamespace');
+  if (targetNamespace) defines.push({ type: 'namespace', name: targetNamespace });
+
+  for (const [tag, element] of text.matchAll(/<(?:\w+:)?(import|include|redefine)\b[^>]*>/g)) {
+    const namespace = element === 'import' ? attr(tag, 'namespace') : null;
+    const location = attr(tag, 'schemaLocation');
+    if (namespace && IGNORED_NAMESPACES.has(namespace)) continue;
+    if (!namespace && !location) continue;
+    imports.push({
+      type: namespace ? 'namespace' : 'file',
+      name: namespace || location,
+      ...(namespace && location && { location }),
+    });
+  }
+  return { defines, imports };
+}
+
+// ASN.1 modules: "Name { oid } DEFINITIONS ... ::= BEGIN", imports listed as
+// "IMPORTS a, b FROM ModuleA { oid } c FROM ModuleB ;"
+function indexAsn1(text) {
+  // Comments run from "--" to the end of the line or the next "--"
+  const source = text.replace(/--.*?(?:--|$)/gm, ' ');
+  const defines = [];
+  const imports = [];
+
+  for (const [, module] of source.matchAll(/([A-Z][\w-]*)\s*(?:\{[^}]*\}\s*)?DEFINITIONS\b[^:]*::=\s*BEGIN/g)) {
+    defines.push({ type: 'module', name: module });
+  }
+  for (const [, list] of source.matchAll(/\bIMPORTS\b([\s\S]*?);/g)) {
+    for (const [, module] of list.matchAll(/\bFROM\s+([A-Z][\w-]*)/g)) {
+      if (!imports.some(i => i.name === module)) imports.push({ type: 'module', name: module });
+    }
+  }
+  return { defines, imports };
+}
+
+function indexJsonSchema(text) {
+  const id = text.match(/["']?\$id["']?\s*:\s*["']([^"']+)["']/)?.[1];
+  return {
+    defines: id ? [{ type: 'schema', name: stripFragment(id) }] : [],
+    imports: externalRefs(text),
+  };
+}
+
+// "$ref" values pointing outside the file (JSON or YAML syntax); "#/..." refs are local
+function externalRefs(text) {
+  const refs = new Set();
+  for (const [, ref] of text.matchAll(/["']?\$ref["']?\s*:\s*["']?([^"'\s,}]+)/g)) {
+    if (ref.startsWith('#')) continue;
+    refs.add(stripFragment(ref));
+  }
+  return [...refs].map(ref => ({ type: /^https?:/i.test(ref) ? 'schema' : 'file', name: ref }));
+}
+
+function stripFragment(ref) {
+  return ref.replace(/#.*$/, '');
+}
+
+// Key under which a file reference is looked up: the file name, so schemaLocation
+// "../xsd/19612_xsd.xsd" and "http://uri.etsi.org/19612/v2.3.1/19612_xsd.xsd" both find 19612_xsd.xsd
+export function fileKey(location) {
+  return path.posix.basename(location.replace(/[?#].*$/, '')).toLowerCase();
+}
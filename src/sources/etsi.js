@@ -0,0 +1,122 @@
+/**
+ * ETSI Document Sources
+ *
+ * Published ETSI deliverables (PDFs from download-specs.js) and draft work item
+ * documents (Word files, only picked up with --include-drafts).
+ */
+
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import mammoth from 'mammoth';
+import { findFiles } from './find-files.js';
+import { normalizeDocId, formatDocId, extractReferencesSection } from '../reference-parser.js';
+
+const require = createRequire(import.meta.url);
+const pdfParse = require('pdf-parse');
+
+export const etsiPdfSource = {
+  name: 'etsi-pdf',
+  source: 'etsi',
+  label: 'ETSI PDF documents',
+  eudiScoped: true,
+
+  discover: (specsPath) => findFiles(specsPath, (name) => name.endsWith('.pdf')),
+  docId: (filename) => normalizeDocId(filenameToDocId(filename)),
+  nodeType: (docId) => docId.split(' ')[0],
+
+  async extractText(filePath) {
+    const data = await pdfParse(await fs.readFile(filePath));
+    return { text: data.text };
+  },
+
+  locateReferenceSections: ({ text }) => extractReferencesSection(text),
+};
+
+export const etsiDraftSource = {
+  name: 'etsi-docx',
+  source: 'etsi',
+  label: 'ETSI draft documents',
+  eudiScoped: true,
+  isDraft: true,
+
+  discover: (specsPath, { includeDrafts }) => includeDrafts
+    ? findFiles(specsPath, (name) => name.endsWith('.docx') || name.endsWith('.doc'))
+    : [],
+  docId: (filename) => normalizeDocId(filenameToDocId(filename)) || docxFilenameToDocId(filename),
+  nodeType: (docId) => docId.split(' ')[0],
+
+  async extractText(filePath) {
+    const result = await mammoth.extractRawText({ path: filePath });
+    return { text: result.value };
+  },
+
+  // Drafts follow the same clause structure as published deliverables
+  locateReferenceSections: ({ text }) => extractReferencesSection(text),
+};
+
+function filenameToDocId(filename) {
+  // Parse filenames like: en_319403v020202p.pdf, ts_11910201v010201p.pdf
+  const match = filename.match(/^(en|ts|tr|es|eg|sr)_(\d+)(?:v(\d{6}))?/i);
+  if (match) {
+    const type = match[1].toUpperCase();
+    let num = match[2];
+
+    // Version suffix: v020202 -> 2.2.2
+    const version = match[3]
+      ? [0, 2, 4].map(i => parseInt(match[3].slice(i, i + 2), 10)).join('.')
+      : null;
+
+    // Convert number format: 319403 -> 319 403, 11910201 -> 119 102-01
+    if (num.length === 6) {
+      // Simple: 319403 -> 319 403
+      return formatDocId(`${type} ${num.slice(0, 3)} ${num.slice(3)}`, version);
+    } else if (num.length === 8) {
+      // With part: 11910201 -> 119 102-1
+      const part = parseInt(num.slice(6), 10);
+      return formatDocId(`${type} ${num.slice(0, 3)} ${num.slice(3, 6)}-${part}`, version);
+    } else if (num.length === 9) {
+      // With part: 119102010 -> 119 102-10 (double digit part)
+      const part = parseInt(num.slice(6), 10);
+      return formatDocId(`${type} ${num.slice(0, 3)} ${num.slice(3, 6)}-${part}`, version);
+    }
+
+    return formatDocId(`${type} ${num}`, version);
+  }
+  return null;
+}
+
+// Parse draft filenames like ESI-0019472-2v121v114.docx
+function docxFilenameToDocId(filename) {
+  // Format: ESI-00XXXYYY-Z... where the number encodes as 1XX YYY
+  // ESI-0019472-2 -> 19472 -> 119 472 -> TS 119 472-2
+  // ESI-0019475 -> 19475 -> 119 475 -> TS 119 475
+  // Pattern: 1XYYY where series=11X and number=YYY, OR 19XYY where series=119 and number=XYY
+  const match = filename.match(/ESI-00(\d)(\d)(\d{3})-?(\d)?(?:v(\d)(\d)(\d))?/i);
+  if (match) {
+    // Decode: first two digits form the series prefix (1+digit), third digit continues series
+    // e.g., 19472 -> 1, 9, 472 -> series 119, number 472
+    const d1 = match[1]; // 1
+    const d2 = match[2]; // 9
+    const rest = match[3]; // 472
+    const part = match[4] ? `-${parseInt(match[4], 10)}` : '';
+
+    // Draft edition: v121 -> 1.2.1
+    const version = match[5] ? `${match[5]}.${match[6]}.${match[7]}` : null;
+
+    // Series is 1XX where XX is d1+d2 (e.g., 119 from "19")
+    const series = `1${d1}${d2}`;
+    return formatDocId(`TS ${series} ${rest}${part}`, version);
+  }
+
+  // Try other patterns
+  const match2 = filename.match(/(TS|TR|EN|ES)[\s_-]*(\d{3})[\s_-]*(\d{3})(?:[\s_-]*(\d+))?/i);
+  if (match2) {
+    const type = match2[1].toUpperCase();
+    const num1 = match2[2];
+    const num2 = match2[3];
+    const part = match2[4] ? `-${parseInt(match2[4], 10)}` : '';
+    return `${type} ${num1} ${num2}${part}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Recursively list files below dir whose name matches, sorted for a stable processing order
+export async function findFiles(dir, matches) {
+  const files = [];
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await findFiles(fullPath, matches));
+      } else if (matches(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  } catch (e) {
+    // Directory may not exist
+  }
+
+  return files.sort();
+}
@@ -0,0 +1,35 @@
+// Normative/informative reference sections of an HTML specification (OIDF specs, W3C respec documents)
+export function locateHtmlReferenceSections($) {
+  // Specs often have <section id="normative-references"> or similar
+  let normative = '';
+  let informative = '';
+
+  // Look for section headers containing "normative" or "informative" ("informative" is not normative)
+  $('section, div, h2, h3').each((i, el) => {
+    const $el = $(el);
+    const id = $el.attr('id') || '';
+    const headerText = $el.find('h2, h3').first().text() || $el.text().slice(0, 100);
+    const text = $el.text();
+
+    // Keep the enclosing section rather than its (shorter) heading, e.g. respec's header wrappers
+    if ((/(?<!in)normative/i.test(id) || /(?<!in)normative\s+ref/i.test(headerText)) && text.length > normative.length) {
+      normative = text;
+    }
+    if ((/informative/i.test(id) || /informative\s+ref/i.test(headerText)) && text.length > informative.length) {
+      informative = text;
+    }
+  });
+
+  // Also check for <dl> definition lists which are common in OIDF specs
+  $('dl').each((i, dl) => {
+    const prevHeader = $(dl).prevAll('h2, h3, h4').first().text();
+    if (/(?<!in)normative/i.test(prevHeader)) {
+      normative += ' ' + $(dl).text();
+    }
+    if (/informative/i.test(prevHeader)) {
+      informative += ' ' + $(dl).text();
+    }
+  });
+
+  return { normative: normative || null, informative: informative || null };
+}
@@ -0,0 +1,78 @@
+/**
+ * IETF Document Source
+ *
+ * RFCs and Internet-Drafts fetched as plain text by the crawler into
+ * downloads/specs/IETF (rfc7515.txt, draft-ietf-oauth-sd-jwt-vc-05.txt).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { findFiles } from './find-files.js';
+import { isInternetDraft } from '../ietf-drafts.js';
+
+export const ietfSource = {
+  name: 'ietf',
+  source: 'ietf',
+  label: 'IETF RFCs and Internet-Drafts',
+
+  discover: (specsPath) => findFiles(path.join(specsPath, 'IETF'), (name) => name.endsWith('.txt')),
+  docId(filename) {
+    // filename format: rfc7515.txt, draft-ietf-oauth-sd-jwt-vc-05.txt
+    const match = filename.match(/rfc(\d+)\.txt/i);
+    if (match) {
+      return `RFC ${match[1]}`;
+    }
+    const draftMatch = filename.match(/^(draft-ietf-[a-z0-9-]+-\d{2})\.txt$/i);
+    return draftMatch ? draftMatch[1].toLowerCase() : null;
+  },
+  nodeType: (docId) => isInternetDraft(docId) ? 'I-D' : 'RFC',
+
+  async extractText(filePath) {
+    return { text: await fs.readFile(filePath, 'utf-8') };
+  },
+
+  locateReferenceSections({ text }) {
+    // RFCs have sections like "7.1. Normative References" and "7.2. Informative References"
+    const normativeMatch = text.match(/(?:Normative\s+References|NORMATIVE\s+REFERENCES)\s*\n([\s\S]*?)(?=\n\s*(?:[\d.]+\s*(?:Informative|Non-Normative)|Informative\s+References|INFORMATIVE|Appendix|Author|Acknowledgment|$))/i);
+    const informativeMatch = text.match(/(?:Informative\s+References|INFORMATIVE\s+REFERENCES|Non-Normative\s+References)\s*\n([\s\S]*?)(?=\n\s*(?:\d+\.?\s+[A-Z]|Appendix|Author|Acknowledgment|$))/i);
+
+    return {
+      normative: normativeMatch ? normativeMatch[1] : null,
+      informative: informativeMatch ? informativeMatch[1] : null,
+    };
+  },
+
+  // RFCs declare the RFCs they replace or amend in their header. Drafts are skipped:
+  // their "Obsoletes: 5246 (if approved)" only takes effect once published
+  documentRelations({ text }) {
+    const header = rfcHeaderLines(text);
+    if (!header.some(line => /^Request for Comments:/i.test(line))) {
+      return null;
+    }
+    return {
+      obsoletes: rfcHeaderField(header, 'Obsoletes'),
+      updates: rfcHeaderField(header, 'Updates'),
+    };
+  },
+};
+
+// Lines of the header block at the top of an RFC, up to the first blank line
+function rfcHeaderLines(text) {
+  const lines = text.replace(/^\s+/, '').split(/\r?\n/);
+  const end = lines.findIndex(line => !line.trim());
+  return lines.slice(0, end === -1 ? lines.length : end);
+}
+
+// RFC numbers of a header field, whose value sits in the left column and wraps after a comma:
+// "Obsoletes: 2818, 7230, 7231,          Some Author\n           7232, 7233    Some Org"
+function rfcHeaderField(header, field) {
+  const start = header.findIndex(line => line.startsWith(`${field}:`));
+  if (start === -1) return [];
+  
+  const leftColumn = (line) => line.trim().split(/\s{2,}/)[0];
+  let value = leftColumn(header[start].slice(field.length + 1));
+  for (let i = start + 1; value.endsWith(',') && i < header.length; i++) {
+    value += ' ' + leftColumn(header[i]);
+  }
+  return (value.match(/\d+/g) || []).map(number => `RFC ${parseInt(number, 10)}`);
+}
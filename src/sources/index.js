@@ -0,0 +1,45 @@
+/**
+ * Document Sources
+ *
+ * Each source adapter describes one kind of downloaded document and how to get
+ * its references out. extract-references.js runs every registered source through
+ * the same pipeline (parse, cache, EUDI filtering, node and edge creation), so a
+ * new document source is one module plus an entry in SOURCES.
+ *
+ * Adapter interface:
+ *   name                      Unique adapter name, used to dispatch parse tasks to workers
+ *   source                    Graph source of the documents ('etsi', 'oidf', 'ietf', ...)
+ *   label                     Plural description for progress output
+ *   eudiScoped                In EUDI mode, only EUDI-relevant documents are ingested and
+ *                             their external references are limited to the EUDI list
+ *   isDraft                   Documents are drafts (they never replace a published document)
+ *   discover(specsPath, opts) Files to ingest (opts: { includeDrafts })
+ *   docId(filename)           Document ID for a file, or null if it cannot be determined
+ *   nodeType(docId)           Node type shown in the graph
+ *   extractText(filePath)     Parsed document: { text, ...format specific data }
+ *   locateReferenceSections(document)  { normative, informative } section text (or null)
+ *   documentRelations(document)        Optional: { obsoletes, updates } document IDs declared
+ *                                      by the document itself (RFC header), or null
+ */
+
+import { etsiPdfSource, etsiDraftSource } from './etsi.js';
+import { oidfSource } from './oidf.js';
+import { ietfSource } from './ietf.js';
+import { w3cSource } from './w3c.js';
+
+// Processing order: published documents first so drafts only fill in missing specs
+export const SOURCES = [
+  etsiPdfSource,
+  etsiDraftSource,
+  oidfSource,
+  ietfSource,
+  w3cSource,
+];
+
+export function getSource(name) {
+  const source = SOURCES.find(s => s.name === name);
+  if (!source) {
+    throw new Error(`Unknown document source: ${name}`);
+  }
+  return source;
+}
@@ -0,0 +1,33 @@
+/**
+ * OIDF Document Source
+ *
+ * OpenID Foundation specifications downloaded as HTML by download-oidf-specs.js
+ * (or by the crawler) into downloads/specs/OIDF.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { findFiles } from './find-files.js';
+import { locateHtmlReferenceSections } from './html-sections.js';
+
+export const oidfSource = {
+  name: 'oidf',
+  source: 'oidf',
+  label: 'OIDF specifications',
+
+  discover: (specsPath) => findFiles(
+    path.join(specsPath, 'OIDF'),
+    (name) => name.endsWith('.html') && !name.startsWith('oidf_specs_summary')
+  ),
+  // filename format: OpenID4VP.html, OpenID_Connect_Core.html, OpenID_Federation.html
+  docId: (filename) => path.basename(filename, '.html').replace(/_/g, ' '),
+  nodeType: () => 'OIDF',
+
+  async extractText(filePath) {
+    const $ = cheerio.load(await fs.readFile(filePath, 'utf-8'));
+    return { text: $('body').text(), $ };
+  },
+
+  locateReferenceSections: ({ $ }) => locateHtmlReferenceSections($),
+};
@@ -0,0 +1,35 @@
+/**
+ * W3C Document Source
+ *
+ * W3C Recommendations downloaded as HTML by download-w3c-specs.js (or by the
+ * crawler) into downloads/specs/W3C, one file per TR short name.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { findFiles } from './find-files.js';
+import { locateHtmlReferenceSections } from './html-sections.js';
+import { w3cDocId } from '../w3c-specs.js';
+
+export const w3cSource = {
+  name: 'w3c',
+  source: 'w3c',
+  label: 'W3C specifications',
+
+  discover: (specsPath) => findFiles(
+    path.join(specsPath, 'W3C'),
+    (name) => name.endsWith('.html')
+  ),
+  // filename format: did-core.html, vc-data-model-2.0.html
+  docId: (filename) => w3cDocId(path.basename(filename, '.html')),
+  nodeType: () => 'W3C',
+
+  async extractText(filePath) {
+    const $ = cheerio.load(await fs.readFile(filePath, 'utf-8'));
+    return { text: $('body').text(), $ };
+  },
+
+  // respec documents list their bibliography in <section id="normative-references">
+  locateReferenceSections: ({ $ }) => locateHtmlReferenceSections($),
+};
@@ -0,0 +1,141 @@
+/**
+ * W3C Specifications
+ *
+ * Maps how W3C Recommendations are cited (titles, TR URLs) to their TR short
+ * names. Graph nodes use "W3C <shortname>" IDs, so the short name is all that
+ * is needed to link to or download the specification.
+ */
+
+// W3C specifications relevant to the EUDI Wallet ecosystem, with the citation forms
+// that identify them. More specific patterns (versions, levels) come first
+export const W3C_SPECS = [
+  {
+    shortname: 'vc-data-model-2.0',
+    name: 'Verifiable Credentials Data Model v2.0',
+    patterns: [/Verifiable\s+Credentials\s+Data\s+Model\s+v?2\.0/gi],
+  },
+  {
+    shortname: 'vc-data-model',
+    name: 'Verifiable Credentials Data Model v1.1',
+    patterns: [/Verifiable\s+Credentials\s+Data\s+Model(?:\s+v?1\.[01])?/gi],
+  },
+  {
+    shortname: 'vc-data-integrity',
+    name: 'Verifiable Credential Data Integrity 1.0',
+    patterns: [/Verifiable\s+Credentials?\s+Data\s+Integrity/gi],
+  },
+  {
+    shortname: 'vc-jose-cose',
+    name: 'Securing Verifiable Credentials using JOSE and COSE',
+    patterns: [/Securing\s+Verifiable\s+Credentials\s+using\s+JOSE\s+and\s+COSE/gi],
+  },
+  {
+    shortname: 'did-core',
+    name: 'Decentralized Identifiers (DIDs) v1.0',
+    patterns: [/Decentralized\s+Identifiers\s*\(DIDs?\)/gi, /\bDID\s+Core\b/gi],
+  },
+  {
+    shortname: 'webauthn-3',
+    name: 'Web Authentication Level 3',
+    patterns: [/Web\s+Authentication(?::\s+An\s+API\s+for\s+accessing\s+Public\s+Key\s+Credentials)?\s*[-–]?\s*Level\s+3/gi],
+  },
+  {
+    shortname: 'webauthn-2',
+    name: 'Web Authentication Level 2',
+    patterns: [/Web\s+Authentication(?::\s+An\s+API\s+for\s+accessing\s+Public\s+Key\s+Credentials)?\s*[-–]?\s*Level\s+2/gi],
+  },
+  {
+    shortname: 'webauthn',
+    name: 'Web Authentication',
+    patterns: [/Web\s+Authentication:\s+An\s+API\s+for\s+accessing\s+Public\s+Key\s+Credentials/gi, /\bWebAuthn\b/g],
+  },
+  {
+    shortname: 'xmldsig-core1',
+    name: 'XML Signature Syntax and Processing Version 1.1',
+    patterns: [/XML\s+Signature\s+Syntax\s+and\s+Processing\s+Version\s+1\.1/gi],
+  },
+  {
+    shortname: 'xmldsig-core',
+    name: 'XML Signature Syntax and Processing',
+    patterns: [/XML[\s-]+Signature\s+Syntax\s+and\s+Processing/gi, /\bXMLDSig\b/gi],
+  },
+  {
+    shortname: 'xmlenc-core1',
+    name: 'XML Encryption Syntax and Processing Version 1.1',
+    patterns: [/XML\s+Encryption\s+Syntax\s+and\s+Processing(?:\s+Version\s+1\.1)?/gi],
+  },
+  {
+    shortname: 'xmlschema-1',
+    name: 'XML Schema Part 1: Structures',
+    patterns: [/XML\s+Schema\s+Part\s+1/gi],
+  },
+  {
+    shortname: 'xmlschema-2',
+    name: 'XML Schema Part 2: Datatypes',
+    patterns: [/XML\s+Schema\s+Part\s+2/gi],
+  },
+  {
+    shortname: 'xml-c14n11',
+    name: 'Canonical XML Version 1.1',
+    patterns: [/Canonical\s+XML\s+Version\s+1\.1/gi],
+  },
+  {
+    shortname: 'xml-c14n',
+    name: 'Canonical XML Version 1.0',
+    patterns: [/Canonical\s+XML(?:\s+Version\s+1\.0)?/gi],
+  },
+  {
+    shortname: 'xml-exc-c14n',
+    name: 'Exclusive XML Canonicalization',
+    patterns: [/Exclusive\s+XML\s+Canonicalization/gi],
+  },
+  {
+    shortname: 'json-ld11',
+    name: 'JSON-LD 1.1',
+    patterns: [/JSON-LD\s+1\.1/gi],
+  },
+];
+
+// TR links, including dated ones: https://www.w3.org/TR/2013/REC-xmldsig-core1-20130411/
+const TR_URL_PATTERN = /w3\.org\/TR\/(?:\d{4}\/)?(?:(?:REC|CR|PR|WD|NOTE)-)?([a-z][\w.-]*?)(?:-\d{8})?(?=[\/#"'\s)\]]|$)/gi;
+
+// "W3C vc-data-model" style mentions that already use the short name
+const SHORTNAME_PATTERN = /W3C\s+([a-z][a-z\d.]*-[a-z\d.-]*[a-z\d])/g;
+
+// Find all W3C specifications cited in a piece of text, as "W3C <shortname>" IDs
+export function extractW3cRefs(text) {
+  const refs = new Set();
+
+  // Known specifications by title; blank out matches so shorter titles do not match again
+  let remaining = text;
+  for (const spec of W3C_SPECS) {
+    for (const pattern of spec.patterns) {
+      pattern.lastIndex = 0;
+      if (pattern.test(remaining)) {
+        refs.add(w3cDocId(spec.shortname));
+        pattern.lastIndex = 0;
+        remaining = remaining.replace(pattern, ' ');
+      }
+    }
+  }
+
+  for (const pattern of [TR_URL_PATTERN, SHORTNAME_PATTERN]) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      refs.add(w3cDocId(match[1].toLowerCase()));
+    }
+  }
+
+  return refs;
+}
+
+export function w3cDocId(shortname) {
+  return `W3C ${shortname}`;
+}
+
+// Latest published version of a specification: "W3C did-core" -> https://www.w3.org/TR/did-core/
+export function w3cTrUrl(docId) {
+  const shortname = docId.replace(/^W3C\s+/, '');
+  return `https://www.w3.org/TR/${shortname}/`;
+}
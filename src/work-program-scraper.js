@@ -2,14 +2,20 @@ import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ETSIClient } from './etsi-client.js';
+import { ETSIClient, PortalChangedError, RateLimitError } from './etsi-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const BASE_URL = 'https://portal.etsi.org';
 
-export async function scrapeWorkProgram(client, downloadPath) {
+// Detail pages of finished work items do not change; active ones are re-fetched after a week
+const DETAIL_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Target dates of active work items move between scrapes, so their schedules are re-fetched daily
+const SCHEDULE_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+export async function scrapeWorkProgram(client, downloadPath, options = {}) {
   console.log('📋 Fetching ESI Work Program...\n');
   
   const allItems = [];
@@ -31,10 +37,9 @@ export async function scrapeWorkProgram(client, downloadPath) {
     formData.append('qNB_TO_DISPLAY', pageSize.toString());
     formData.append('SubmitNext', ' Next Page ');
     
-    const response = await client.fetch(`${baseUrl}?${baseParams}`, {
+    const response = await client.fetchWithAuth(`${baseUrl}?${baseParams}`, {
       method: 'POST',
       headers: {
-        ...client.getDefaultHeaders(),
         'Content-Type': 'application/x-www-form-urlencoded'
       },
       body: formData.toString()
@@ -62,6 +67,11 @@ export async function scrapeWorkProgram(client, downloadPath) {
     // Parse items from this page
     const pageItems = parseWorkItemList(html);
     
+    // A first page with neither a result count nor work items is not the list we know
+    if (offset === 0 && pageItems.length === 0 && !totalItems) {
+      throw new PortalChangedError('Work item list not found (see debug/work_program_list.html)', { url: response.url });
+    }
+    
     if (pageItems.length === 0) {
       break;
     }
@@ -81,6 +91,17 @@ export async function scrapeWorkProgram(client, downloadPath) {
   
   console.log(`\n📝 Collected ${allItems.length} work items\n`);
   
+  // Enrich with the detail pages: rapporteur, technical body, scope, keywords, related items, milestones
+  if (options.details !== false) {
+    await scrapeWorkItemDetails(client, allItems, downloadPath, options);
+  }
+  
+  // Planned vs achieved milestone dates, and how the target dates moved since earlier scrapes
+  if (options.schedules !== false) {
+    await scrapeWorkItemSchedules(client, allItems, downloadPath, options);
+    await updateScheduleHistory(allItems, downloadPath);
+  }
+  
   // Save results
   const outputPath = path.join(downloadPath, 'work_items.json');
   await fs.writeFile(outputPath, JSON.stringify(allItems, null, 2));
@@ -184,6 +205,234 @@ function parseWorkItemList(html) {
   return items;
 }
 
+// Fetch the Report_WorkItem.asp page of every work item (cached in downloads/.cache/work-items)
+// and attach the parsed metadata as item.details
+export async function scrapeWorkItemDetails(client, items, downloadPath, options = {}) {
+  console.log(`🔎 Fetching ${items.length} work item detail pages...`);
+  await scrapeWorkItemPages(client, items, downloadPath, {
+    urlField: 'detailUrl',
+    cacheDir: 'work-items',
+    debugFile: 'work_item_detail.html',
+    maxAge: DETAIL_CACHE_MAX_AGE,
+    refresh: options.refreshDetails,
+    parse: (html, item) => { item.details = parseWorkItemDetail(html, item.workItemId); },
+  });
+}
+
+// Fetch the Report_Schedule.asp page of every work item (cached in downloads/.cache/schedules)
+// and attach the planned vs achieved milestones as item.schedule
+export async function scrapeWorkItemSchedules(client, items, downloadPath, options = {}) {
+  console.log(`📅 Fetching ${items.length} work item schedules...`);
+  await scrapeWorkItemPages(client, items, downloadPath, {
+    urlField: 'scheduleUrl',
+    cacheDir: 'schedules',
+    debugFile: 'work_item_schedule.html',
+    maxAge: SCHEDULE_CACHE_MAX_AGE,
+    refresh: options.refreshDetails,
+    parse: (html, item) => { item.schedule = parseWorkItemSchedule(html); },
+  });
+}
+
+// Fetch one portal page per work item, one at a time, reusing cached copies: pages of finished
+// work items never change, those of active ones are re-fetched once older than page.maxAge
+async function scrapeWorkItemPages(client, items, downloadPath, page) {
+  const cachePath = path.join(downloadPath, '.cache', page.cacheDir);
+  await fs.mkdir(cachePath, { recursive: true });
+  
+  const stats = { cached: 0, fetched: 0, failed: 0 };
+  
+  for (const item of items) {
+    if (!item[page.urlField]) continue;
+    const cacheFile = path.join(cachePath, `${item.workItemId}.html`);
+    
+    try {
+      let html = page.refresh ? null : await readCachedPage(cacheFile, item, page.maxAge);
+      if (html) {
+        stats.cached++;
+      } else {
+        const response = await client.fetchWithAuth(item[page.urlField]);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        html = await response.text();
+        await fs.writeFile(cacheFile, html);
+        stats.fetched++;
+        
+        // Save first page for debugging
+        if (stats.fetched === 1) {
+          await fs.mkdir(path.join(downloadPath, 'debug'), { recursive: true });
+          await fs.writeFile(path.join(downloadPath, 'debug', page.debugFile), html);
+        }
+        
+        // Rate limiting
+        await sleep(300);
+      }
+      
+      page.parse(html, item);
+    } catch (error) {
+      stats.failed++;
+      console.log(`  ⚠️  ${item.etsiNumber || item.workItemId}: ${error.message}`);
+      // The page is fetched again by the next scrape; give the portal a break first
+      if (error instanceof RateLimitError) {
+        await sleep((error.retryAfter ?? 60) * 1000);
+      }
+    }
+    
+    const done = stats.cached + stats.fetched + stats.failed;
+    if (done % 50 === 0) {
+      console.log(`  → ${done}/${items.length}`);
+    }
+  }
+  
+  console.log(`  ✅ ${stats.fetched} fetched, ${stats.cached} from cache, ${stats.failed} failed\n`);
+}
+
+async function readCachedPage(cacheFile, item, maxAge) {
+  try {
+    const stat = await fs.stat(cacheFile);
+    const finished = !/Drafting|approval/i.test(item.stage || '');
+    if (finished || Date.now() - stat.mtimeMs < maxAge) {
+      return await fs.readFile(cacheFile, 'utf-8');
+    }
+  } catch (e) {
+    // Not cached yet
+  }
+  return null;
+}
+
+// The detail page is a list of label/value rows ("Rapporteur:", "Technical Body:", "Scope:", ...)
+// followed by the milestone table. Labels are matched loosely so small layout changes do not break it
+const DETAIL_FIELDS = {
+  rapporteur: /^Rapporteur/i,
+  technicalBody: /^(?:Technical Body|TB|Responsible TB)\b/i,
+  scope: /^Scope/i,
+  keywords: /^Keywords?/i,
+};
+
+export function parseWorkItemDetail(html, workItemId) {
+  const $ = cheerio.load(html);
+  const clean = (text) => text.replace(/\s+/g, ' ').trim();
+  
+  // Line breaks separate e.g. the rapporteur's name from their organisation
+  $('br').replaceWith('\n\u0001');
+  const lines = (cell) => $(cell).text().split('\u0001').map(clean).filter(Boolean);
+  
+  const details = { rapporteur: null, technicalBody: null, scope: null, keywords: [], relatedWorkItems: [], milestones: [] };
+  
+  $('tr').each((_, row) => {
+    const cells = $(row).children('td, th');
+    if (cells.length < 2) return;
+    const label = lines(cells[0]).join(' ').replace(/:$/, '');
+    if (!label || label.length > 40) return;
+    
+    for (const [field, pattern] of Object.entries(DETAIL_FIELDS)) {
+      if (!pattern.test(label) || (field === 'keywords' ? details.keywords.length : details[field])) continue;
+      const value = lines(cells[1]).join(field === 'scope' ? ' ' : ', ');
+      if (!value) continue;
+      details[field] = field === 'keywords'
+        ? value.split(/\s*[,;]\s*/).filter(Boolean)
+        : value;
+    }
+  });
+  
+  // Links to other work items (revisions, parts, merged/split items)
+  const related = new Map();
+  $('a[href*="Report_WorkItem"]').each((_, link) => {
+    const id = $(link).attr('href').match(/WKI_ID=(\d+)/)?.[1];
+    const etsiNumber = clean($(link).text());
+    if (id && id !== workItemId && !related.has(id)) {
+      related.set(id, { workItemId: id, ...(etsiNumber && { etsiNumber }) });
+    }
+  });
+  details.relatedWorkItems = [...related.values()];
+  
+  details.milestones = parseMilestoneTable($);
+  
+  return details;
+}
+
+// The schedule page is the full milestone table: every milestone with its target and achieved date
+export function parseWorkItemSchedule(html) {
+  return parseMilestoneTable(cheerio.load(html));
+}
+
+// Milestones from the table whose header names the milestones and their dates
+// ("Milestone | Target date | Achieved date"). The first matching table wins
+function parseMilestoneTable($) {
+  const clean = (text) => text.replace(/\s+/g, ' ').trim();
+  const milestones = [];
+  
+  $('table').each((_, table) => {
+    if (milestones.length > 0) return;
+    const rows = $(table).children('tbody').length ? $(table).children('tbody').children('tr') : $(table).children('tr');
+    const header = rows.first().children('td, th').map((_, cell) => clean($(cell).text())).get();
+    if (!header.some(h => /Milestone|Status/i.test(h)) || !header.some(h => /Date/i.test(h))) return;
+    
+    // A "Status code" column ("8A") may precede the milestone name
+    const milestoneColumn = header.findIndex(h => /Milestone/i.test(h));
+    const nameColumn = milestoneColumn !== -1 ? milestoneColumn : header.findIndex(h => /Status/i.test(h) && !/Code|Date/i.test(h));
+    const targetColumn = header.findIndex(h => /Target|Planned|Scheduled/i.test(h));
+    const achievedColumn = header.findIndex(h => /Achieved|Actual|Reached/i.test(h) || (/Date/i.test(h) && !/Target|Planned|Scheduled/i.test(h)));
+    
+    rows.slice(1).each((_, row) => {
+      const cells = $(row).children('td, th').map((_, cell) => clean($(cell).text())).get();
+      const milestone = cells[nameColumn];
+      const date = (column) => cells[column]?.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null;
+      if (!milestone || (!date(targetColumn) && !date(achievedColumn))) return;
+      milestones.push({
+        milestone,
+        targetDate: date(targetColumn),
+        achievedDate: date(achievedColumn),
+      });
+    });
+  });
+  
+  return milestones;
+}
+
+// Target dates per work item and milestone as seen by each scrape, in schedule_history.json.
+// A date is only appended when it differs from the last one recorded, so each entry is a
+// (re)planning of that milestone: { date: <scrape date>, targetDate }. The date of the scrape
+// itself is kept in lastScrapedAt, as a scrape that changed nothing appends no entry
+async function updateScheduleHistory(items, downloadPath) {
+  const historyPath = path.join(downloadPath, 'schedule_history.json');
+  let history = {};
+  try {
+    history = JSON.parse(await fs.readFile(historyPath, 'utf-8'));
+  } catch (e) {
+    // First scrape
+  }
+  
+  const today = new Date().toISOString().slice(0, 10);
+  let replanned = 0;
+  
+  for (const item of items) {
+    if (!item.schedule?.length) continue;
+    const entry = history[item.workItemId] ||= { etsiNumber: item.etsiNumber, reference: item.reference, milestones: {} };
+    entry.etsiNumber = item.etsiNumber;
+    entry.reference = item.reference;
+    
+    for (const { milestone, targetDate } of item.schedule) {
+      if (!targetDate) continue;
+      const targets = entry.milestones[milestone] ||= [];
+      let last = targets[targets.length - 1];
+      if (last?.targetDate === targetDate) continue;
+      // A rescrape on the same day replaces that day's entry
+      if (last?.date === today) {
+        targets.pop();
+        last = targets[targets.length - 1];
+        if (last?.targetDate === targetDate) continue;
+      }
+      if (last) replanned++;
+      targets.push({ date: today, targetDate });
+    }
+  }
+  
+  history.lastScrapedAt = today;
+  await fs.writeFile(historyPath, JSON.stringify(history, null, 2));
+  console.log(`🗓️  Schedule history: ${replanned} target dates changed since the previous scrape\n`);
+}
+
 async function createSummaryReport(items, downloadPath) {
   // Group by document type (TS, TR, EN, etc.)
   const byType = {};
@@ -294,7 +543,13 @@ async function analyzeWorkItems(downloadPath) {
     currentStatus: item.currentStatus,
     nextStatus: item.nextStatus,
     detailUrl: item.detailUrl,
-    scheduleUrl: item.scheduleUrl
+    scheduleUrl: item.scheduleUrl,
+    ...(item.details && {
+      rapporteur: item.details.rapporteur,
+      technicalBody: item.details.technicalBody,
+      scope: item.details.scope,
+      keywords: item.details.keywords,
+    }),
   });
   
   const activeByType = groupByType(activeWork);
@@ -341,10 +596,18 @@ async function main() {
   console.log('EUDI Nexus - ETSI Work Program Scraper');
   console.log('======================================\n');
   
+  // CLI flags
+  const args = process.argv.slice(2);
+  const options = {
+    details: !args.includes('--no-details'),
+    refreshDetails: args.includes('--refresh-details'),
+    schedules: !args.includes('--no-schedules'),
+  };
+  
   const client = new ETSIClient();
   
   try {
-    await scrapeWorkProgram(client, downloadPath);
+    await scrapeWorkProgram(client, downloadPath, options);
     await analyzeWorkItems(downloadPath);
     console.log('\nDone! Output saved to downloads/');
   } catch (error) {